@@ -3,18 +3,16 @@
  * Generates HTML with embedded JavaScript for client-side rendering and MIDI playback
  */
 export class AbcProcessor {
-    private static nextId = 0;
-
     constructor(
         private readonly abcSource: string,
+        private readonly id: string,
     ) { }
 
     /**
      * Generate HTML for ABC notation with client-side rendering
      */
     generateHtml(): string {
-        const id = `abc-${AbcProcessor.nextId++}`;
-        console.log(`🎵 Generated ABC container ID: ${id}, nextId is now: ${AbcProcessor.nextId}`);
+        const id = this.id;
         const { userOptions, source } = this.parseOptionsAndSource();
 
         // Base64 encode the JSON for safe embedding in HTML attributes
@@ -0,0 +1,323 @@
+// Command palette and quick switcher
+//
+// Ctrl/Cmd+K opens a palette that fuzzy-matches note titles, aliases and headings, bases and
+// commands, navigable with the arrow keys. Notes and bases open through ObsidianSSGApp.loadNote
+// and loadBase; queries starting with ">" only list commands.
+
+const PALETTE_MAX_ITEMS = 50;
+
+// Added to the fuzzy score of each kind of item, so that titles rank above headings
+const PALETTE_TYPE_BONUS = {
+  command: 1,
+  note: 2,
+  base: 2,
+  alias: 1,
+  heading: 0
+};
+
+const PALETTE_TYPE_LABELS = {
+  command: 'Command',
+  note: 'Note',
+  base: 'Base',
+  alias: 'Alias',
+  heading: 'Heading'
+};
+
+class CommandPalette {
+  constructor(app) {
+    this.app = app;
+    this.element = document.getElementById('command-palette');
+    this.input = document.getElementById('command-palette-input');
+    this.resultsList = document.getElementById('command-palette-results');
+    this.items = [];
+    this.results = [];
+    this.selectedIndex = 0;
+    this.previousFocus = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.element || !this.input || !this.resultsList) return;
+
+    document.addEventListener('keydown', (event) => {
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (this.isOpen()) {
+          this.close();
+        } else {
+          this.open();
+        }
+      }
+    });
+
+    this.input.addEventListener('input', () => this.update());
+
+    this.input.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        this.select(this.selectedIndex + 1);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        this.select(this.selectedIndex - 1);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        this.run(this.results[this.selectedIndex]);
+      } else if (event.key === 'Escape') {
+        // Close the palette only, not the modals under it
+        event.preventDefault();
+        event.stopPropagation();
+        this.close();
+      }
+    });
+
+    this.resultsList.addEventListener('mousemove', (event) => {
+      const option = event.target.closest('[data-index]');
+      if (option && Number(option.dataset.index) !== this.selectedIndex) {
+        this.select(Number(option.dataset.index), false);
+      }
+    });
+
+    this.resultsList.addEventListener('click', (event) => {
+      const option = event.target.closest('[data-index]');
+      if (option) {
+        this.run(this.results[Number(option.dataset.index)]);
+      }
+    });
+
+    const overlay = this.element.querySelector('.command-palette-overlay');
+    if (overlay) {
+      overlay.addEventListener('click', () => this.close());
+    }
+  }
+
+  isOpen() {
+    return !this.element.classList.contains('hidden');
+  }
+
+  open() {
+    // Notes can change while the dev server rebuilds the site: list them afresh every time
+    this.items = this.getItems();
+    this.previousFocus = document.activeElement;
+    this.app.closeMobileMenu();
+
+    this.element.classList.remove('hidden');
+    this.input.value = '';
+    this.input.focus();
+    this.update();
+  }
+
+  close() {
+    this.element.classList.add('hidden');
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  // Commands, notes, aliases, headings and bases of the site
+  getItems() {
+    const items = this.getCommands().map(command => ({ type: 'command', ...command }));
+
+    this.app.notes.forEach(note => {
+      const open = () => this.openNote(note.id);
+      items.push({ type: 'note', title: note.title, detail: note.folderPath || '', run: open });
+      (note.aliases || []).forEach(alias => {
+        items.push({ type: 'alias', title: alias, detail: note.title, run: open });
+      });
+      (note.headings || []).forEach(heading => {
+        // The title heading of a note would only repeat the note
+        if (heading.level === 1 && heading.text === note.title) return;
+        items.push({
+          type: 'heading',
+          title: heading.text,
+          detail: note.title,
+          run: () => this.openNote(note.id, heading.id)
+        });
+      });
+    });
+
+    this.app.bases.forEach(base => {
+      items.push({ type: 'base', title: base.title, detail: base.folderPath || '', run: () => this.app.loadBase(base.id) });
+    });
+
+    return items;
+  }
+
+  getCommands() {
+    const commands = [
+      {
+        title: 'Toggle light/dark theme',
+        run: () => {
+          const currentTheme = document.body.getAttribute('data-theme');
+          this.app.setTheme(currentTheme === 'light' ? 'dark' : 'light');
+        }
+      },
+      {
+        title: 'Open global graph',
+        run: () => this.app.showGlobalGraphModal()
+      },
+      {
+        title: 'Go to random note',
+        run: () => {
+          const noteIds = Array.from(this.app.notes.keys())
+            .filter(noteId => !this.app.currentNote || noteId !== this.app.currentNote.id);
+          if (noteIds.length > 0) {
+            this.openNote(noteIds[Math.floor(Math.random() * noteIds.length)]);
+          }
+        }
+      },
+      {
+        title: 'Copy link to current page',
+        run: () => this.copyLink(window.location.href)
+      }
+    ];
+
+    if (this.app.currentNote) {
+      commands.splice(2, 0, {
+        title: 'Open local graph',
+        run: () => this.app.showLocalGraphModal()
+      });
+    }
+
+    if (this.app.stackedNotes) {
+      const stackedNotes = this.app.stackedNotes;
+      commands.push({
+        title: stackedNotes.isEnabled() ? 'Open links in place' : 'Open links in stacked panes',
+        run: () => stackedNotes.setEnabled(!stackedNotes.isEnabled())
+      });
+    }
+
+    return commands;
+  }
+
+  openNote(noteId, anchor = null) {
+    if (anchor && this.app.currentNote && this.app.currentNote.id === noteId) {
+      // Heading of the current note: just scroll to it
+      this.app.scrollToAnchor(anchor);
+    } else {
+      this.app.loadNote(noteId, true, anchor);
+    }
+  }
+
+  async copyLink(url) {
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  }
+
+  // Match and rank the items against the query, and render them
+  update() {
+    const value = this.input.value.trim();
+    const commandsOnly = value.startsWith('>');
+    const query = (commandsOnly ? value.substring(1) : value).replace(/\s+/g, '').toLowerCase();
+    const candidates = commandsOnly ? this.items.filter(item => item.type === 'command') : this.items;
+
+    if (!query) {
+      // Commands first, then notes by title
+      this.results = candidates
+        .filter(item => item.type === 'command' || item.type === 'note' || item.type === 'base')
+        .map(item => ({ item, positions: [] }))
+        .sort((a, b) => (a.item.type === 'command' ? 0 : 1) - (b.item.type === 'command' ? 0 : 1) ||
+          (a.item.type === 'command' ? 0 : a.item.title.localeCompare(b.item.title)))
+        .slice(0, PALETTE_MAX_ITEMS);
+    } else {
+      this.results = [];
+      candidates.forEach(item => {
+        const match = this.fuzzyMatch(query, item.title);
+        if (match) {
+          this.results.push({ item, positions: match.positions, score: match.score + PALETTE_TYPE_BONUS[item.type] });
+        }
+      });
+      this.results.sort((a, b) => b.score - a.score || a.item.title.localeCompare(b.item.title));
+      this.results = this.results.slice(0, PALETTE_MAX_ITEMS);
+    }
+
+    this.render();
+    this.select(0);
+  }
+
+  /**
+   * Match the characters of a query in order in some text. Matches at word starts and runs
+   * of consecutive characters score higher, and shorter texts rank first. Returns the
+   * score and the matched positions, or null.
+   */
+  fuzzyMatch(query, text) {
+    const lowerText = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let textIndex = 0;
+
+    for (const char of query) {
+      const index = lowerText.indexOf(char, textIndex);
+      if (index === -1) return null;
+
+      const previous = positions[positions.length - 1];
+      if (previous !== undefined && index === previous + 1) {
+        score += 5;
+      } else if (index === 0 || /[^\p{L}\p{N}]/u.test(lowerText[index - 1])) {
+        score += 4;
+      } else {
+        score += 1 - Math.min(index - textIndex, 10) * 0.1;
+      }
+
+      positions.push(index);
+      textIndex = index + 1;
+    }
+
+    if (positions[0] === 0) score += 3;
+    return { score: score - text.length * 0.01, positions };
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.resultsList.innerHTML = '<li class="command-palette-empty">No matching notes or commands</li>';
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    this.resultsList.innerHTML = this.results.map(({ item, positions }, index) => `
+      <li class="command-palette-item" id="command-palette-item-${index}" role="option" data-index="${index}" aria-selected="false">
+        <span class="command-palette-item-title">${this.highlight(item.title, positions)}</span>
+        ${item.detail ? `<span class="command-palette-item-detail">${this.app.escapeHtml(item.detail)}</span>` : ''}
+        <span class="command-palette-item-type">${PALETTE_TYPE_LABELS[item.type]}</span>
+      </li>
+    `).join('');
+  }
+
+  select(index, scroll = true) {
+    if (this.results.length === 0) return;
+
+    // Wrap around at both ends
+    this.selectedIndex = (index + this.results.length) % this.results.length;
+    this.resultsList.querySelectorAll('.command-palette-item').forEach((option, optionIndex) => {
+      const selected = optionIndex === this.selectedIndex;
+      option.classList.toggle('selected', selected);
+      option.setAttribute('aria-selected', String(selected));
+      if (selected) {
+        this.input.setAttribute('aria-activedescendant', option.id);
+        if (scroll) option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  run(result) {
+    if (!result) return;
+    this.close();
+    result.item.run();
+  }
+
+  highlight(text, positions) {
+    const matched = new Set(positions);
+    return text.split('')
+      .map((char, index) => matched.has(index) ? `<mark>${this.app.escapeHtml(char)}</mark>` : this.app.escapeHtml(char))
+      .join('')
+      .replace(/<\/mark><mark>/g, '');
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.CommandPalette = CommandPalette;
+}
@@ -286,6 +286,8 @@ class GraphView {
   }
 
   extractTags(note) {
+    // Frontmatter and inline tags, merged at build time
+    if (Array.isArray(note?.tags)) return note.tags;
     if (!note?.frontMatter?.tags) return [];
     const rawTags = Array.isArray(note.frontMatter.tags)
       ? note.frontMatter.tags
@@ -7,11 +7,17 @@ class ObsidianSSGApp {
     this.categories = new Map();
     this.tags = new Map();
     this.folderStructure = [];
+    this.noteRequests = new Map(); // Note ID -> promise of the note with its content
+    this.loadingNoteId = null;
     this.currentNote = null;
     this.lastViewedNoteId = null; // Track last viewed note for graph switching
     this.currentBase = null;
     this.search = null;
+    this.commandPalette = null;
+    this.pagePreview = null;
+    this.stackedNotes = null;
     this.graph = null;
+    this.settings = {}; // Site options for the client (e.g. stackedNotes)
     this.basePath = this.getBasePath();
     
     this.init();
@@ -29,6 +35,9 @@ class ObsidianSSGApp {
     // Initialize components
     this.initializeTheme();
     this.initializeSearch();
+    this.initializeCommandPalette();
+    this.initializePagePreviews();
+    this.initializeStackedNotes();
     this.initializeGraph();
     this.initializeNavigation();
     this.initializeEventListeners();
@@ -72,6 +81,9 @@ class ObsidianSSGApp {
     if (!noteId) {
       noteId = this.getDefaultNote();
     }
+    
+    // Heading or block anchor to scroll to (e.g. /note#section or /note#^block-id)
+    const anchor = window.location.hash ? decodeURIComponent(window.location.hash.substring(1)) : null;
 
     // Render initial content - expand to the note that will be loaded
     this.renderSidebar(noteId);
@@ -93,7 +105,13 @@ class ObsidianSSGApp {
       if (baseId) {
         this.loadBase(baseId);
       } else {
-        this.loadNote(noteId);
+        // Stacked notes shared in the URL (?stack=...) open next to the note
+        const stack = this.stackedNotes ? this.stackedNotes.getStackFromUrl() : [];
+        this.loadNote(noteId, true, anchor).then(() => {
+          if (stack.length > 0 && this.currentNote) {
+            this.stackedNotes.restore(stack).then(() => this.stackedNotes.updateUrl(false));
+          }
+        });
       }
     }
     
@@ -104,6 +122,7 @@ class ObsidianSSGApp {
     }, 100);
   }
   
+  // Load the manifest of the site (data/notes.json): notes without their content, bases, graph and file tree
   async loadData() {
     try {
       // Use the basePath from constructor
@@ -118,6 +137,7 @@ class ObsidianSSGApp {
         this.categories = new Map(Object.entries(data.categories || {}));
         this.tags = new Map(Object.entries(data.tags || {}));
         this.folderStructure = data.folderStructure || [];
+        this.settings = data.settings || {};
       } else {
         console.warn('Notes data not found, using empty dataset');
       }
@@ -126,6 +146,34 @@ class ObsidianSSGApp {
     }
   }
   
+  // Load the content of a note (data/notes/<id>.json) into its manifest entry, once
+  fetchNote(noteId) {
+    const note = this.notes.get(noteId);
+    if (!note) {
+      return Promise.resolve(null);
+    }
+    
+    if (!this.noteRequests.has(noteId)) {
+      const noteFile = noteId.split('/').map(encodeURIComponent).join('/');
+      this.noteRequests.set(noteId, fetch(`${this.basePath}/data/notes/${noteFile}.json`)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => Object.assign(note, data))
+        .catch(error => {
+          console.warn(`Failed to load note data: ${noteId}`, error);
+          this.noteRequests.delete(noteId); // Retry next time
+          return note;
+        }));
+    }
+    return this.noteRequests.get(noteId);
+  }
+  
+  fetchNotes(noteIds) {
+    return Promise.all(noteIds.map(noteId => this.fetchNote(noteId)));
+  }
+  
   getSystemTheme() {
     return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
   }
@@ -193,8 +241,25 @@ class ObsidianSSGApp {
   
   initializeSearch() {
     if (window.Search) {
-      this.search = new window.Search();
-      this.search.loadSearchIndex(this.notes);
+      this.search = new window.Search(this.basePath);
+    }
+  }
+  
+  initializeCommandPalette() {
+    if (window.CommandPalette) {
+      this.commandPalette = new window.CommandPalette(this);
+    }
+  }
+  
+  initializePagePreviews() {
+    if (window.PagePreview) {
+      this.pagePreview = new window.PagePreview(this);
+    }
+  }
+  
+  initializeStackedNotes() {
+    if (window.StackedNotes) {
+      this.stackedNotes = new window.StackedNotes(this);
     }
   }
   
@@ -218,10 +283,17 @@ class ObsidianSSGApp {
       if (noteId) {
         // On back/forward, restore the saved scroll position if available
         const savedScroll = event.state?.scrollY || 0;
-        this.loadNote(noteId, false);
-        // Restore scroll after content loads
-        requestAnimationFrame(() => {
-          window.scrollTo(0, savedScroll);
+        this.loadNote(noteId, false, event.state?.anchor || null).then(() => {
+          if (this.stackedNotes && event.state?.stack?.length > 0) {
+            this.stackedNotes.restore(event.state.stack);
+          }
+          
+          // Restore scroll after content loads
+          if (!event.state?.anchor) {
+            requestAnimationFrame(() => {
+              window.scrollTo(0, savedScroll);
+            });
+          }
         });
       }
     });
@@ -279,10 +351,22 @@ class ObsidianSSGApp {
     this.renderEmbeddedCards();
   }
   
-  renderEmbeddedCards() {
+  async renderEmbeddedCards() {
     // Find all cards-view elements with data-base-cards attribute
     const embeddedCardsViews = document.querySelectorAll('.cards-view[data-base-cards]');
     
+    // Cards preview their note's content: load it first
+    const cardNoteIds = new Set();
+    embeddedCardsViews.forEach(cardsView => {
+      try {
+        const { noteIds, notes: legacyNotes } = JSON.parse(cardsView.dataset.baseCards);
+        (noteIds || (legacyNotes || []).map(note => note.id)).forEach(id => cardNoteIds.add(id));
+      } catch (e) {
+        // Reported when rendering the cards below
+      }
+    });
+    await this.fetchNotes(Array.from(cardNoteIds));
+    
     embeddedCardsViews.forEach((cardsView, index) => {
       try {
         const baseData = JSON.parse(cardsView.dataset.baseCards);
@@ -406,14 +490,35 @@ class ObsidianSSGApp {
     // Graph expansion controls
     this.initializeGraphControls();
     
+    // Sort category hub tables by the clicked column
+    document.addEventListener('click', (event) => {
+      const header = event.target.closest('.category-table th[data-sort-index]');
+      if (header) {
+        this.sortCategoryTable(header);
+      }
+    });
+    
     // Handle internal link clicks
     document.addEventListener('click', (event) => {
       const link = event.target.closest('.internal-link');
       if (link) {
         event.preventDefault();
         const noteId = this.extractNoteIdFromLink(link);
+        const anchor = this.extractAnchorFromLink(link);
+        if (noteId && !this.notes.has(noteId)) {
+          // Generated pages (e.g. category hubs) aren't notes: load them from the server
+          window.location.href = this.basePath ? `${this.basePath}/${noteId}` : `/${noteId}`;
+          return;
+        }
         if (noteId) {
-          this.loadNote(noteId);
+          if (this.stackedNotes && this.stackedNotes.handleLinkClick(link, noteId, anchor)) {
+            // Opened in a stacked pane
+          } else if (anchor && this.currentNote && this.currentNote.id === noteId) {
+            // Heading or block in the current note: just scroll to it
+            this.scrollToAnchor(anchor);
+          } else {
+            this.loadNote(noteId, true, anchor);
+          }
           
           // Always close sidebar after navigation (will be no-op on desktop)
           this.closeMobileMenu();
@@ -677,7 +782,13 @@ class ObsidianSSGApp {
         expandedPaths = pathToNote;
       }
     }
-    this.renderFolderTree(expandedPaths);
+    // Pages come with the file tree pre-rendered (expanded to their note): keep it and add the behaviour
+    const folderTree = document.getElementById('folder-tree');
+    if (folderTree && folderTree.querySelector('.folder-item')) {
+      this.initializeFolderTree();
+    } else {
+      this.renderFolderTree(expandedPaths);
+    }
     this.setupExpandCollapseAll();
   }
 
@@ -762,21 +873,23 @@ class ObsidianSSGApp {
         const isBase = this.bases.has(node.noteId);
         const isFolderIndex = node.noteId && node.noteId.startsWith('-');
         
+        const href = isBase ? this.getBaseUrl(this.bases.get(node.noteId)) : `${this.basePath}/${node.noteId}`;
+        
         if (isFolderIndex) {
           // Render as a folder-style item for folder index files
           html += `
-            <div class="folder-item file folder-index" data-note-id="${node.noteId}" data-is-base="${isBase}">
+            <a href="${href}" class="folder-item file folder-index" data-note-id="${node.noteId}" data-is-base="${isBase}">
               <span class="file-name">${node.name}</span>
               ${isBase ? '<span class="base-pill">BASE</span>' : ''}
-            </div>
+            </a>
           `;
         } else {
           // Regular file
           html += `
-            <div class="folder-item file ${isBase ? 'base-file' : ''}" data-note-id="${node.noteId}" data-is-base="${isBase}">
+            <a href="${href}" class="folder-item file ${isBase ? 'base-file' : ''}" data-note-id="${node.noteId}" data-is-base="${isBase}">
               <span class="file-name">${node.name}</span>
               ${isBase ? '<span class="base-pill">BASE</span>' : ''}
-            </div>
+            </a>
           `;
         }
       }
@@ -787,6 +900,14 @@ class ObsidianSSGApp {
     const treeHtml = this.folderStructure.map(node => renderNode(node)).join('');
     folderTree.innerHTML = treeHtml;
     
+    this.initializeFolderTree();
+  }
+
+  // Make the file tree interactive: files open in place, folders expand and collapse
+  initializeFolderTree() {
+    const folderTree = document.getElementById('folder-tree');
+    if (!folderTree) return;
+    
     // Add click handlers for files
     folderTree.querySelectorAll('.folder-item.file').forEach(item => {
       item.addEventListener('click', (e) => {
@@ -830,6 +951,11 @@ class ObsidianSSGApp {
     };
   }
 
+  // URL of a base's page, next to the .base file like the generator writes it
+  getBaseUrl(base) {
+    return `${this.basePath}/${base.relativePath.replace(/\.base$/, '').toLowerCase()}`;
+  }
+
   setupExpandCollapseAll() {
     const expandCollapseButton = document.getElementById('expand-collapse-all');
     if (!expandCollapseButton) return;
@@ -882,21 +1008,38 @@ class ObsidianSSGApp {
     return icons[iconName] || icons['TableOfContents'];
   }
   
-  loadNote(noteId, addToHistory = true) {
-    const note = this.notes.get(noteId);
-    if (!note) {
+  async loadNote(noteId, addToHistory = true, anchor = null) {
+    if (!this.notes.has(noteId)) {
       console.warn(`Note not found: ${noteId}`);
       return;
     }
     
+    // The first note shown may be the one the page was generated for: its content is already there
+    const noteContent = document.getElementById('note-content');
+    const isPrerendered = !this.currentNote && !this.currentBase && noteContent?.dataset.noteId === noteId;
+    
+    // Otherwise load its content, unless another note or base was opened in the meantime
+    this.loadingNoteId = noteId;
+    const note = isPrerendered ? this.notes.get(noteId) : await this.fetchNote(noteId);
+    if (this.loadingNoteId !== noteId) {
+      return;
+    }
+    this.loadingNoteId = null;
+    
+    // Opening a note replaces the stacked panes, if any
+    if (this.stackedNotes) {
+      this.stackedNotes.closePanes(0);
+    }
+    
     this.currentNote = note;
     this.lastViewedNoteId = noteId; // Track for graph view switching
     
     // Update URL and history with clean URLs
     if (addToHistory) {
-      const cleanUrl = this.basePath ? `${window.location.origin}${this.basePath}/${noteId}` : `${window.location.origin}/${noteId}`;
+      const hash = anchor ? `#${anchor}` : '';
+      const cleanUrl = this.basePath ? `${window.location.origin}${this.basePath}/${noteId}${hash}` : `${window.location.origin}/${noteId}${hash}`;
       // Save current scroll position in history state for back/forward navigation
-      window.history.pushState({ noteId, scrollY: window.scrollY }, note.title, cleanUrl);
+      window.history.pushState({ noteId, anchor, scrollY: window.scrollY }, note.title, cleanUrl);
     }
     
     // Update page title
@@ -909,8 +1052,7 @@ class ObsidianSSGApp {
     }
     
     // Update main content
-    const noteContent = document.getElementById('note-content');
-    if (noteContent) {
+    if (noteContent && !isPrerendered) {
       const frontMatterHtml = note.frontMatterHtml || '';
       noteContent.innerHTML = `
         <h1 class="note-title">${note.title}</h1>
@@ -966,8 +1108,87 @@ class ObsidianSSGApp {
     if (addToHistory) {
       window.scrollTo(0, 0);
     }
+    
+    // Jump to the linked heading or block once the table of contents has settled
+    if (anchor) {
+      setTimeout(() => this.scrollToAnchor(anchor), 150);
+    }
+  }
+  
+  scrollToAnchor(anchor) {
+    const target = document.getElementById(anchor);
+    if (!target) {
+      console.warn(`Anchor not found: ${anchor}`);
+      return;
+    }
+    
+    if (window.tableOfContents) {
+      window.tableOfContents.scrollToHeading(anchor);
+    } else {
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
   }
   
+  // Apply the notes changed by a rebuild of `obsidianp serve` without reloading the page,
+  // keeping the scroll position, open modals and expanded folders. Returns false when the
+  // page doesn't show a note (or shows a removed one) and needs a reload instead.
+  applyNoteUpdate(update) {
+    const currentId = this.currentNote?.id;
+    if (!currentId || update.removedNoteIds.includes(currentId)) {
+      return false;
+    }
+
+    // Updated notes come with their content
+    Object.entries(update.notes).forEach(([id, note]) => {
+      this.notes.set(id, note);
+      this.noteRequests.set(id, Promise.resolve(note));
+    });
+    update.removedNoteIds.forEach(id => {
+      this.notes.delete(id);
+      this.noteRequests.delete(id);
+    });
+    this.bases = new Map(Object.entries(update.bases));
+    this.linkGraph = new Map(Object.entries(update.linkGraph));
+    this.categories = new Map(Object.entries(update.categories));
+    this.tags = new Map(Object.entries(update.tags));
+    this.folderStructure = update.folderStructure;
+
+    if (this.search) {
+      this.search.reloadSearchIndex();
+    }
+    if (this.graph) {
+      this.graph.loadData(this.notes, this.linkGraph, this.tags);
+    }
+
+    // Re-render the sidebar with the folders that were expanded
+    const expandedPaths = Array.from(
+      document.querySelectorAll('#folder-tree .folder-item.folder.expanded'),
+      item => item.getAttribute('data-folder')
+    );
+    this.renderFolderTree(expandedPaths);
+    this.updateSidebarActiveState(currentId);
+    window.adaptiveNav?.refresh();
+
+    if (update.notes[currentId]) {
+      // Re-render the note where the reader is
+      const noteContent = document.getElementById('note-content');
+      const scrollY = window.scrollY;
+      const contentScrollTop = noteContent ? noteContent.scrollTop : 0;
+
+      this.loadNote(currentId, false).then(() => {
+        if (noteContent) {
+          noteContent.scrollTop = contentScrollTop;
+        }
+        window.scrollTo(0, scrollY);
+      });
+    } else if (this.graph) {
+      // Links between other notes may have changed
+      this.graph.updateMiniGraph(currentId);
+    }
+
+    return true;
+  }
+
   loadBase(baseId, addToHistory = true) {
     const base = this.bases.get(baseId);
     if (!base) {
@@ -977,6 +1198,10 @@ class ObsidianSSGApp {
     
     this.currentBase = base;
     this.currentNote = null; // Clear current note
+    this.loadingNoteId = null; // Cancel the loading of a note
+    if (this.stackedNotes) {
+      this.stackedNotes.closePanes(0);
+    }
     
     // Update URL and history - use the base's folder path, not "bases/"
     if (addToHistory) {
@@ -1114,6 +1339,13 @@ class ObsidianSSGApp {
       notes = matchedNoteIds.map(id => this.notes.get(id)).filter(note => note);
     }
     
+    // Formula values are computed at build time, for the notes of each base
+    if (base.formulaResults) {
+      notes = notes.map(note => base.formulaResults[note.id]
+        ? { ...note, frontMatter: { ...note.frontMatter, computed: base.formulaResults[note.id] } }
+        : note);
+    }
+    
     // Apply view-specific filters if they exist
     if (view.filters) {
       notes = this.applyViewFilters(notes, view.filters);
@@ -1177,12 +1409,17 @@ class ObsidianSSGApp {
         valueB = this.getFileCtime(b);
         break;
       case 'file.tags':
-        valueA = (a.frontMatter.tags || []).join(',');
-        valueB = (b.frontMatter.tags || []).join(',');
+        valueA = this.getNoteTags(a).join(',');
+        valueB = this.getNoteTags(b).join(',');
         break;
       default:
-        valueA = a.frontMatter[property];
-        valueB = b.frontMatter[property];
+        if (property.startsWith('formula.')) {
+          valueA = this.getFormulaSortValue(a, property.substring('formula.'.length));
+          valueB = this.getFormulaSortValue(b, property.substring('formula.'.length));
+        } else {
+          valueA = a.frontMatter[property];
+          valueB = b.frontMatter[property];
+        }
     }
     
     // Handle null values - treat null as oldest (smallest) value
@@ -1205,6 +1442,14 @@ class ObsidianSSGApp {
     return strA.localeCompare(strB);
   }
   
+  // Computed value of a formula, with failed cells sorted like empty ones
+  getFormulaSortValue(note, name) {
+    const value = note.frontMatter?.computed?.[name];
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object' && !Array.isArray(value) && 'error' in value) return null;
+    return value;
+  }
+  
   getFileMtime(note) {
     if (note.fileStats) {
       return new Date(note.fileStats.mtime);
@@ -1230,7 +1475,7 @@ class ObsidianSSGApp {
       case 'file.ctime':
         return this.getFileCtime(note);
       case 'file.tags':
-        return (note.frontMatter.tags || []).join(',');
+        return this.getNoteTags(note).join(',');
       default:
         return note.frontMatter[property];
     }
@@ -1286,10 +1531,12 @@ class ObsidianSSGApp {
     // Handle file.hasTag() filters
     const hasTagMatch = filter.match(/file\.hasTag\(["']([^"']+)["']\)/);
     if (hasTagMatch) {
-      const tag = hasTagMatch[1];
-      const tags = note.frontMatter?.tags || [];
-      const tagList = Array.isArray(tags) ? tags : [tags];
-      return tagList.includes(tag);
+      // Nested tags match their parents: #project matches #project/alpha
+      const tag = hasTagMatch[1].replace(/^#/, '').toLowerCase();
+      return this.getNoteTags(note).some(noteTag => {
+        const normalized = noteTag.toLowerCase();
+        return normalized === tag || normalized.startsWith(`${tag}/`);
+      });
     }
 
     return false;
@@ -1906,6 +2153,9 @@ class ObsidianSSGApp {
         'file.ctime': 'Created',
     };
     
+    if (column.startsWith('formula.')) {
+      return column.substring('formula.'.length);
+    }
     return displayNames[column] || column;
   }
   
@@ -1927,9 +2177,7 @@ class ObsidianSSGApp {
             return '';
         
         case 'file.tags':
-            const tags = note.frontMatter?.tags || [];
-            const tagList = Array.isArray(tags) ? tags : [tags];
-            return tagList.filter(tag => tag && tag.trim()).map(tag => `<span class="tag">${tag.trim()}</span>`).join('');
+            return this.getNoteTags(note).map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('');
         
         case 'file.mtime':
             if (note.fileStats && note.fileStats.mtime) {
@@ -1946,9 +2194,18 @@ class ObsidianSSGApp {
             return '';
         
         default:
-            // Custom property from frontmatter
-            const value = note.frontMatter?.[column];
+            // Formula columns (formula.<name>) show the values computed at build time,
+            // other columns the frontmatter property
+            const isFormula = column.startsWith('formula.');
+            const computed = note.frontMatter?.computed || {};
+            const formulaName = column.substring('formula.'.length);
+            const value = isFormula
+              ? (Object.prototype.hasOwnProperty.call(computed, formulaName) ? computed[formulaName] : undefined)
+              : note.frontMatter?.[column];
             if (value === undefined || value === null) return '';
+            if (isFormula && typeof value === 'object' && !Array.isArray(value) && 'error' in value) {
+              return `<span class="formula-error" title="${this.escapeHtml(value.error)}">Error</span>`;
+            }
             if (Array.isArray(value)) return value.join(', ');
             return String(value);
     }
@@ -2396,12 +2653,19 @@ class ObsidianSSGApp {
     document.querySelectorAll('.popup-overlay').forEach(overlay => overlay.remove());
   }
   
-  renderBacklinks(note) {
+  async renderBacklinks(note) {
+    // Linked mentions are quoted from the linking notes: load them first. Unlinked mentions
+    // come with the data of the note (a pre-rendered note may not be loaded yet)
+    await Promise.all([this.fetchNote(note.id), this.fetchNotes(note.backlinks || [])]);
+    if (this.currentNote !== note) return;
+    
     const backlinksPanel = document.getElementById('backlinks-panel');
     const backlinksContent = document.getElementById('backlinks-content');
     
     if (!backlinksContent) return;
     
+    const unlinkedMentionsHtml = this.renderUnlinkedMentions(note);
+    
     if (note.backlinks && note.backlinks.length > 0) {
       // Group backlinks by source note
       const backlinkSources = {};
@@ -2432,7 +2696,7 @@ class ObsidianSSGApp {
                   <path d="M3 8L12 17L21 8"></path>
                 </svg>
               </button>
-              <div class="backlinks-source-title" onclick="event.stopPropagation(); navigateToNote('${sourceId}');">${source.title}</div>
+              <div class="backlinks-source-title" data-note-id="${sourceId}" onclick="event.stopPropagation(); navigateToNote('${sourceId}');">${source.title}</div>
               <span class="backlinks-source-count">${source.mentions.length}</span>
             </div>
             <div class="backlinks-mentions expanded">
@@ -2446,12 +2710,7 @@ class ObsidianSSGApp {
         `).join('')}
         </div>
         
-        <div class="backlinks-section-header unlinked-mentions-header dimmed" onclick="toggleBacklinksSection('unlinked-mentions')">
-          <h4>Unlinked mentions</h4>
-        </div>
-        <div id="unlinked-mentions-content" class="backlinks-section-content collapsed">
-          <div class="no-unlinked-mentions">No unlinked mentions found</div>
-        </div>
+        ${unlinkedMentionsHtml}
       `;
       
       backlinksContent.innerHTML = backlinksHtml;
@@ -2468,12 +2727,7 @@ class ObsidianSSGApp {
           <div class="no-linked-mentions">No linked mentions found</div>
         </div>
         
-        <div class="backlinks-section-header unlinked-mentions-header dimmed" onclick="toggleBacklinksSection('unlinked-mentions')">
-          <h4>Unlinked mentions</h4>
-        </div>
-        <div id="unlinked-mentions-content" class="backlinks-section-content collapsed">
-          <div class="no-unlinked-mentions">No unlinked mentions found</div>
-        </div>
+        ${unlinkedMentionsHtml}
       `;
       if (backlinksPanel) {
         backlinksPanel.style.display = 'block';
@@ -2481,6 +2735,50 @@ class ObsidianSSGApp {
     }
   }
   
+  // Notes mentioning a note without linking to it, found at build time with their snippets
+  renderUnlinkedMentions(note) {
+    const mentions = (note.unlinkedMentions || []).filter(mention => this.notes.has(mention.noteId));
+    const sourcesHtml = mentions.map(({ noteId, snippets }) => `
+          <div class="backlinks-section">
+            <div class="backlinks-source" onclick="this.nextElementSibling.classList.toggle('expanded'); this.querySelector('.backlinks-source-toggle').classList.toggle('expanded');">
+              <button class="backlinks-source-toggle expanded">
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="svg-icon right-triangle">
+                  <path d="M3 8L12 17L21 8"></path>
+                </svg>
+              </button>
+              <div class="backlinks-source-title" data-note-id="${this.escapeHtml(noteId)}" onclick="event.stopPropagation(); navigateToNote(this.dataset.noteId);">${this.escapeHtml(this.notes.get(noteId).title)}</div>
+              <span class="backlinks-source-count">${snippets.length}</span>
+            </div>
+            <div class="backlinks-mentions expanded">
+              ${snippets.map(snippet => `
+                <div class="backlink-mention" data-note-id="${this.escapeHtml(noteId)}" onclick="navigateToNote(this.dataset.noteId);">
+                  <div class="backlink-mention-content">${this.escapeHtml(snippet.before)}<span class="backlink-mention-highlight">${this.escapeHtml(snippet.match)}</span>${this.escapeHtml(snippet.after)}</div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+    `).join('');
+    
+    // Collapsed by default, as in Obsidian
+    return `
+        <div class="backlinks-section-header unlinked-mentions-header${mentions.length > 0 ? '' : ' dimmed'}" onclick="toggleBacklinksSection('unlinked-mentions')">
+          <h4>Unlinked mentions <span class="backlinks-count">${mentions.length}</span></h4>
+        </div>
+        <div id="unlinked-mentions-content" class="backlinks-section-content collapsed">
+          ${sourcesHtml || '<div class="no-unlinked-mentions">No unlinked mentions found</div>'}
+        </div>
+    `;
+  }
+  
+  // Also used by the search, command palette, page previews and stacked notes
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
   getBacklinkMentions(targetNoteId, sourceNote) {
     // Extract mentions of targetNoteId from sourceNote content
     // This is a simplified version - in reality you'd parse the markdown more carefully
@@ -2490,7 +2788,7 @@ class ObsidianSSGApp {
     
     // Look for links to the target note
     const linkPattern = new RegExp(`\\[\\[([^\\]]*\\|)?${targetNote.title}\\]\\]`, 'gi');
-    const lines = sourceNote.content.split('\n');
+    const lines = (sourceNote.content || '').split('\n');
     
     lines.forEach((line, index) => {
       if (linkPattern.test(line)) {
@@ -2634,9 +2932,13 @@ class ObsidianSSGApp {
   }
   
   extractNoteIdFromLink(link) {
-    const href = link.getAttribute('href');
+    // Heading and block anchors are handled by extractAnchorFromLink
+    const href = link.getAttribute('href')?.split('#')[0];
     if (href) {
-      // Handle absolute URLs starting with /
+      // Handle absolute URLs, which start with the base path
+      if (this.basePath && href.startsWith(this.basePath + '/')) {
+        return decodeURIComponent(href.substring(this.basePath.length + 1));
+      }
       if (href.startsWith('/')) {
         return decodeURIComponent(href.substring(1));
       }
@@ -2649,6 +2951,46 @@ class ObsidianSSGApp {
     return link.getAttribute('data-note-id');
   }
   
+  sortCategoryTable(header) {
+    const table = header.closest('table');
+    const tbody = table?.querySelector('tbody');
+    if (!tbody) return;
+    
+    const index = parseInt(header.dataset.sortIndex, 10);
+    const direction = header.dataset.sortDirection === 'asc' ? 'desc' : 'asc';
+    
+    table.querySelectorAll('th[data-sort-index]').forEach(th => delete th.dataset.sortDirection);
+    header.dataset.sortDirection = direction;
+    
+    // Empty values always go last; numbers inside values compare numerically
+    const rows = Array.from(tbody.querySelectorAll('tr'));
+    rows.sort((a, b) => {
+      const valueA = a.children[index]?.dataset.sortValue || '';
+      const valueB = b.children[index]?.dataset.sortValue || '';
+      if (!valueA || !valueB) return valueA ? -1 : valueB ? 1 : 0;
+      const comparison = valueA.localeCompare(valueB, undefined, { numeric: true });
+      return direction === 'asc' ? comparison : -comparison;
+    });
+    rows.forEach(row => tbody.appendChild(row));
+  }
+  
+  getNoteTags(note) {
+    // Frontmatter and inline tags are merged at build time; fall back to frontmatter only
+    if (Array.isArray(note.tags)) {
+      return note.tags;
+    }
+    const tags = note.frontMatter?.tags || [];
+    return (Array.isArray(tags) ? tags : [tags])
+      .filter(tag => tag && String(tag).trim())
+      .map(tag => String(tag).trim().replace(/^#/, ''));
+  }
+  
+  extractAnchorFromLink(link) {
+    const href = link.getAttribute('href') || '';
+    const hashIndex = href.indexOf('#');
+    return hashIndex === -1 ? null : decodeURIComponent(href.substring(hashIndex + 1));
+  }
+  
   getDefaultNote() {
     const notes = Array.from(this.notes.values());
     // Try to find 'home' note first
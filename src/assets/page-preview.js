@@ -0,0 +1,280 @@
+// Page previews
+//
+// Hovering an internal link or a backlink shows a floating, scrollable preview of the target note,
+// scrolled to the linked heading or block. Links in a preview open nested previews, and previews
+// close once the pointer has left them and their link for a moment. On touch devices, previews
+// open with a long press on the link, and close with a tap outside.
+
+const PREVIEW_SHOW_DELAY = 400;
+const PREVIEW_HIDE_DELAY = 300;
+const PREVIEW_LONG_PRESS_DELAY = 500;
+const PREVIEW_MAX_HEIGHT = 400;
+const PREVIEW_MIN_HEIGHT = 120;
+const PREVIEW_MARGIN = 8; // Distance from the link and the viewport edges
+const PREVIEW_TOUCH_TOLERANCE = 10; // Finger movement (px) that cancels a long press
+
+const PREVIEW_LINK_SELECTOR = 'a.internal-link, .backlinks-source-title[data-note-id]';
+
+class PagePreview {
+  constructor(app) {
+    this.app = app;
+    this.previews = []; // Open previews, outermost first: { element, link }
+    this.pendingLink = null;
+    this.showTimer = null;
+    this.hideTimer = null;
+    this.hideDepth = null;
+    this.longPressTimer = null;
+    this.touchStart = null;
+    this.suppressClick = false;
+
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('pointerover', (event) => {
+      if (event.pointerType === 'touch' || !(event.target instanceof Element)) return;
+      this.handlePointerOver(event.target);
+    });
+
+    document.addEventListener('pointerout', (event) => {
+      // Leaving the window
+      if (event.pointerType !== 'touch' && !event.relatedTarget) {
+        this.cancelShow();
+        this.scheduleHide(0);
+      }
+    });
+
+    this.initializeLongPress();
+
+    // Following a link closes the previews; clicking elsewhere outside them too
+    document.addEventListener('click', (event) => {
+      if (!(event.target instanceof Element)) return;
+
+      const title = event.target.closest('.page-preview-title');
+      if (title) {
+        this.closePreviews(0);
+        this.app.loadNote(title.dataset.noteId);
+      } else if (event.target.closest(PREVIEW_LINK_SELECTOR) || !event.target.closest('.page-preview')) {
+        this.cancelShow();
+        this.closePreviews(0);
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.closePreviews(0);
+      }
+    });
+
+    // Previews are placed next to their link: close them when the page scrolls away
+    document.addEventListener('scroll', (event) => {
+      const target = event.target instanceof Element ? event.target : null;
+      if (this.previews.length > 0 && !(target && target.closest('.page-preview'))) {
+        this.closePreviews(0);
+      }
+    }, true);
+  }
+
+  initializeLongPress() {
+    const cancelLongPress = () => {
+      clearTimeout(this.longPressTimer);
+      this.longPressTimer = null;
+    };
+
+    document.addEventListener('touchstart', (event) => {
+      this.suppressClick = false;
+      const target = event.target instanceof Element ? event.target : null;
+      const link = target ? target.closest(PREVIEW_LINK_SELECTOR) : null;
+
+      // A tap outside the previews closes them
+      if (!link && !(target && target.closest('.page-preview'))) {
+        this.closePreviews(0);
+      }
+      if (!link || event.touches.length > 1) return;
+
+      this.touchStart = { x: event.touches[0].clientX, y: event.touches[0].clientY };
+      cancelLongPress();
+      this.longPressTimer = setTimeout(() => {
+        this.longPressTimer = null;
+        // The press must not also follow the link
+        this.suppressClick = true;
+        this.showPreview(link, this.getDepth(link) + 1);
+      }, PREVIEW_LONG_PRESS_DELAY);
+    }, { passive: true });
+
+    document.addEventListener('touchmove', (event) => {
+      if (!this.longPressTimer || !this.touchStart) return;
+      const touch = event.touches[0];
+      if (Math.abs(touch.clientX - this.touchStart.x) > PREVIEW_TOUCH_TOLERANCE ||
+          Math.abs(touch.clientY - this.touchStart.y) > PREVIEW_TOUCH_TOLERANCE) {
+        cancelLongPress();
+      }
+    }, { passive: true });
+
+    document.addEventListener('touchend', cancelLongPress);
+    document.addEventListener('touchcancel', cancelLongPress);
+
+    // Captured before the app's link handlers
+    document.addEventListener('click', (event) => {
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    }, true);
+
+    document.addEventListener('contextmenu', (event) => {
+      if (this.suppressClick && event.target instanceof Element && event.target.closest(PREVIEW_LINK_SELECTOR)) {
+        event.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Keep open the previews the pointer is in (or on the link of), and start showing the
+   * preview of a hovered link
+   */
+  handlePointerOver(target) {
+    let depth = this.getDepth(target);
+    const link = target.closest(PREVIEW_LINK_SELECTOR);
+    const next = this.previews[depth + 1];
+    if (link && next && next.link === link) {
+      // Back on the link of an open preview
+      depth += 1;
+    }
+
+    if (this.previews.length > depth + 1) {
+      this.scheduleHide(depth + 1);
+    } else {
+      this.cancelHide();
+    }
+
+    if (link && (!this.previews[depth] || this.previews[depth].link !== link)) {
+      if (this.pendingLink !== link) {
+        this.cancelShow();
+        this.pendingLink = link;
+        this.showTimer = setTimeout(() => {
+          this.pendingLink = null;
+          this.showPreview(link, depth + 1);
+        }, PREVIEW_SHOW_DELAY);
+      }
+    } else {
+      this.cancelShow();
+    }
+  }
+
+  // Index of the preview containing an element, or -1 outside of previews
+  getDepth(element) {
+    const preview = element.closest('.page-preview');
+    return preview ? this.previews.findIndex(({ element: previewElement }) => previewElement === preview) : -1;
+  }
+
+  cancelShow() {
+    clearTimeout(this.showTimer);
+    this.showTimer = null;
+    this.pendingLink = null;
+  }
+
+  scheduleHide(depth) {
+    if (this.hideTimer && this.hideDepth === depth) return;
+    this.cancelHide();
+    this.hideDepth = depth;
+    this.hideTimer = setTimeout(() => {
+      this.hideTimer = null;
+      this.closePreviews(depth);
+    }, PREVIEW_HIDE_DELAY);
+  }
+
+  cancelHide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+  }
+
+  // Close the previews from a depth on
+  closePreviews(depth) {
+    this.cancelHide();
+    this.previews.splice(depth).forEach(({ element }) => element.remove());
+  }
+
+  // Note ID and heading or block anchor a link points to
+  getTarget(link) {
+    if (link.dataset.noteId) {
+      return { noteId: link.dataset.noteId, anchor: null };
+    }
+    return {
+      noteId: this.app.extractNoteIdFromLink(link),
+      anchor: this.app.extractAnchorFromLink(link)
+    };
+  }
+
+  async showPreview(link, depth) {
+    const { noteId, anchor } = this.getTarget(link);
+    if (!link.isConnected || !noteId || !this.app.notes.has(noteId)) return;
+
+    this.closePreviews(depth);
+    const element = document.createElement('div');
+    element.className = 'page-preview';
+    element.style.zIndex = String(1000 + depth);
+    element.innerHTML = '<div class="page-preview-loading">Loading…</div>';
+    document.body.appendChild(element);
+    const preview = { element, link };
+    this.previews.push(preview);
+    this.position(element, link);
+
+    const note = await this.app.fetchNote(noteId);
+    if (!this.previews.includes(preview)) return; // Closed while loading
+
+    element.innerHTML = `
+      <div class="page-preview-header">
+        <button type="button" class="page-preview-title" data-note-id="${this.app.escapeHtml(noteId)}" title="Open note">${this.app.escapeHtml(note.title)}</button>
+      </div>
+      <div class="page-preview-content note-body">${note.html || ''}</div>
+    `;
+
+    // Anchors of the previewed note mustn't clash with the ones of the page
+    element.querySelectorAll('[id]').forEach(anchorElement => {
+      anchorElement.dataset.previewId = anchorElement.id;
+      anchorElement.removeAttribute('id');
+    });
+
+    this.position(element, link);
+
+    if (anchor) {
+      const target = Array.from(element.querySelectorAll('[data-preview-id]'))
+        .find(anchorElement => anchorElement.dataset.previewId === anchor);
+      if (target) {
+        target.classList.add('page-preview-target');
+        const header = element.querySelector('.page-preview-header');
+        element.scrollTop = target.offsetTop - (header ? header.offsetHeight : 0) - PREVIEW_MARGIN;
+      }
+    }
+  }
+
+  /**
+   * Place a preview below its link, or above when it fits better there, keeping it on screen
+   */
+  position(element, link) {
+    const rect = link.getBoundingClientRect();
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = window.innerHeight;
+    const below = viewportHeight - rect.bottom - 2 * PREVIEW_MARGIN;
+    const above = rect.top - 2 * PREVIEW_MARGIN;
+
+    element.style.maxHeight = `${Math.max(Math.min(Math.max(below, above), PREVIEW_MAX_HEIGHT), PREVIEW_MIN_HEIGHT)}px`;
+    const width = element.offsetWidth;
+    const height = element.offsetHeight;
+
+    let top = height <= below || below >= above
+      ? rect.bottom + PREVIEW_MARGIN
+      : rect.top - PREVIEW_MARGIN - height;
+    top = Math.max(PREVIEW_MARGIN, Math.min(top, viewportHeight - height - PREVIEW_MARGIN));
+    const left = Math.max(PREVIEW_MARGIN, Math.min(rect.left, viewportWidth - width - PREVIEW_MARGIN));
+
+    element.style.top = `${top}px`;
+    element.style.left = `${left}px`;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PagePreview = PagePreview;
+}
@@ -1,10 +1,48 @@
 // Search functionality
+//
+// Ranks notes with BM25 over the inverted index built by SearchIndexer (src/search-indexer.ts):
+// data/search/index.json lists the notes and the term prefixes of the shards, and each shard
+// (data/search/terms-<n>.json) is only downloaded when a query needs its terms.
+//
+// Queries support Obsidian's operators: tag:#x, path:folder/, file:name, [property:value],
+// "exact phrases", -exclusions and OR (see parseQuery).
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.5;
+const MAX_RESULTS = 10;
+
+// Fields of the postings' bitmasks, as set by SearchIndexer (src/search-indexer.ts)
+const FIELD_FLAGS = {
+  title: 1,
+  aliases: 2,
+  headings: 4,
+  tags: 8,
+  content: 16
+};
+
+const FIELD_LABELS = {
+  title: 'title',
+  aliases: 'alias',
+  headings: 'heading',
+  tags: 'tag',
+  content: 'content'
+};
+
+// Operators of the form name:value, besides [property:value] filters
+const QUERY_OPERATORS = ['tag', 'path', 'file'];
+
 class Search {
-  constructor() {
+  constructor(basePath = '') {
     this.searchInput = document.getElementById('search-input');
     this.searchResults = document.getElementById('search-results');
-    this.notes = new Map();
-    this.searchIndex = [];
+    this.basePath = basePath;
+    this.searchIndex = null;
+    this.searchIndexRequest = null;
+    this.shardRequests = new Map();
+    this.searchCount = 0;
+    this.results = [];
+    this.selectedIndex = -1;
     
     this.init();
   }
@@ -16,7 +54,25 @@ class Search {
       this.handleSearch(e.target.value);
     });
     
+    // Arrow keys move through the results, Enter opens the selected (or first) one
+    this.searchInput.addEventListener('keydown', (e) => {
+      if (this.results.length === 0 || this.searchResults.classList.contains('hidden')) return;
+      
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.highlightResult((this.selectedIndex + step + this.results.length) % this.results.length);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.selectResult(this.results[Math.max(this.selectedIndex, 0)].id);
+      } else if (e.key === 'Escape') {
+        this.searchResults.classList.add('hidden');
+      }
+    });
+    
     this.searchInput.addEventListener('focus', () => {
+      // Start loading the index before the first keystroke
+      this.loadSearchIndex();
       if (this.searchInput.value) {
         this.searchResults.classList.remove('hidden');
       }
@@ -29,35 +85,408 @@ class Search {
     });
   }
   
-  loadSearchIndex(notes) {
-    this.notes = notes;
-    this.searchIndex = Array.from(notes.values()).map(note => ({
-      id: note.id,
-      title: note.title,
-      content: note.content,
-      searchText: `${note.title} ${note.content}`.toLowerCase()
-    }));
+  // Split text into terms the way SearchIndexer.tokenize does
+  tokenize(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= 2 && term.length <= 40);
+  }
+  
+  fetchJson(file) {
+    return fetch(`${this.basePath}/data/search/${file}`).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    });
+  }
+  
+  // Load the search index manifest the first time it is needed
+  loadSearchIndex() {
+    if (!this.searchIndexRequest) {
+      this.searchIndexRequest = this.fetchJson('index.json')
+        .then(index => {
+          this.searchIndex = {
+            averageLength: index.averageLength || 1,
+            shards: index.shards,
+            documents: index.documents.map(([id, title, aliases, excerpt, length]) => ({
+              id, title, aliases, excerpt, length
+            }))
+          };
+          return this.searchIndex;
+        })
+        .catch(error => {
+          console.warn('Failed to load search index:', error);
+          this.searchIndexRequest = null;
+          return null;
+        });
+    }
+    return this.searchIndexRequest;
+  }
+  
+  // Load the postings of a shard the first time one of its terms is searched
+  loadShard(shardIndex) {
+    if (!this.shardRequests.has(shardIndex)) {
+      this.shardRequests.set(shardIndex, this.fetchJson(`terms-${shardIndex}.json`)
+        .catch(error => {
+          console.warn(`Failed to load search shard ${shardIndex}:`, error);
+          this.shardRequests.delete(shardIndex); // Retry next time
+          return {};
+        }));
+    }
+    return this.shardRequests.get(shardIndex);
+  }
+  
+  // Postings of the terms starting with a query term, from the shards that can hold them
+  async getPostings(term) {
+    const shardIndexes = [];
+    this.searchIndex.shards.forEach((prefix, index) => {
+      if (prefix.startsWith(term) || term.startsWith(prefix)) {
+        shardIndexes.push(index);
+      }
+    });
+    
+    const shards = await Promise.all(shardIndexes.map(index => this.loadShard(index)));
+    const postings = [];
+    shards.forEach(shard => {
+      Object.keys(shard).forEach(indexedTerm => {
+        if (indexedTerm.startsWith(term)) {
+          postings.push({ exact: indexedTerm === term, entries: shard[indexedTerm] });
+        }
+      });
+    });
+    return postings;
+  }
+  
+  // Forget the loaded index, for the next search to load the rebuilt one
+  reloadSearchIndex() {
+    this.searchIndex = null;
+    this.searchIndexRequest = null;
+    this.shardRequests.clear();
   }
   
-  handleSearch(query) {
-    if (!query || query.length < 2) {
+  /**
+   * Parse a query into OR-separated groups of clauses, all of which a note must match:
+   * words, "exact phrases", tag:, path: and file: operators and [property:value] filters,
+   * each of which can be negated with a leading -.
+   */
+  parseQuery(query) {
+    const groups = [[]];
+    const tokenPattern = /(-?)(?:(\w+):("[^"]*"?|\S*)|\[([^\]:]+)(?::([^\]]*))?\]|"([^"]*)"?|(\S+))/g;
+    
+    for (const match of query.matchAll(tokenPattern)) {
+      const [token, negation, operator, operatorValue, property, propertyValue, phrase, word] = match;
+      const negated = negation === '-';
+      const group = groups[groups.length - 1];
+      
+      if (word === 'OR' && !negated) {
+        if (group.length > 0) groups.push([]);
+        continue;
+      }
+      
+      if (operator && QUERY_OPERATORS.includes(operator.toLowerCase())) {
+        const value = this.unquote(operatorValue).toLowerCase();
+        if (value) group.push({ type: operator.toLowerCase(), value, negated });
+        continue;
+      }
+      
+      if (property !== undefined) {
+        group.push({
+          type: 'property',
+          name: property.trim().toLowerCase(),
+          value: propertyValue === undefined ? null : this.unquote(propertyValue.trim()).toLowerCase(),
+          negated
+        });
+        continue;
+      }
+      
+      // Unknown operators (e.g. "http:") are searched as text
+      const text = phrase !== undefined ? phrase : word !== undefined ? word : token.slice(negation.length);
+      const terms = this.tokenize(text);
+      if (terms.length === 0) continue;
+      if (phrase !== undefined || (negated && terms.length > 1)) {
+        group.push({ type: 'phrase', terms, negated });
+      } else {
+        terms.forEach(term => group.push({ type: 'term', term, negated }));
+      }
+    }
+    
+    return groups.filter(group => group.length > 0);
+  }
+  
+  unquote(value) {
+    return value.replace(/^"|"$/g, '').trim();
+  }
+  
+  async handleSearch(query) {
+    const searchId = ++this.searchCount;
+    const isStale = () => searchId !== this.searchCount;
+    const groups = this.parseQuery(query || '');
+    if (groups.length === 0) {
       this.searchResults.classList.add('hidden');
       return;
     }
     
-    const results = this.searchIndex
-      .filter(item => item.searchText.includes(query.toLowerCase()))
-      .slice(0, 10);
+    const index = await this.loadSearchIndex();
+    if (!index || isStale()) return;
+    const matchesByGroup = await Promise.all(groups.map(group => this.matchGroup(index, group)));
+    // Skip queries typed over while the index was loading
+    if (isStale()) return;
+    
+    const results = await this.collectResults(index, matchesByGroup, isStale);
+    if (isStale()) return;
+    
+    // Highlight the words searched for, not the excluded ones
+    const terms = new Set();
+    groups.flat().forEach(clause => {
+      if (clause.negated) return;
+      if (clause.type === 'term') terms.add(clause.term);
+      if (clause.type === 'phrase') clause.terms.forEach(term => terms.add(term));
+    });
     
-    this.displayResults(results, query);
+    this.displayResults(results, Array.from(terms));
   }
   
-  displayResults(results, query) {
+  /**
+   * Notes matching every clause of a group, by document index, with their score and the
+   * fields that matched. Phrases can only be checked on the note's text, by verifyPhrases.
+   */
+  async matchGroup(index, group) {
+    const textClauses = group.filter(clause => clause.type === 'term' || clause.type === 'phrase');
+    const textMatches = await Promise.all(textClauses.map(clause => clause.type === 'term'
+      ? this.scoreTerm(index, clause.term, true)
+      : this.scorePhrase(index, clause.terms)));
+    
+    let matches = null;
+    textClauses.forEach((clause, i) => {
+      if (clause.negated) return;
+      if (matches === null) {
+        matches = new Map();
+        textMatches[i].forEach((match, documentIndex) => {
+          matches.set(documentIndex, { score: match.score, fields: match.fields, labels: [], phrases: [] });
+        });
+      } else {
+        matches.forEach((match, documentIndex) => {
+          const termMatch = textMatches[i].get(documentIndex);
+          if (termMatch) {
+            match.score += termMatch.score;
+            match.fields |= termMatch.fields;
+          } else {
+            matches.delete(documentIndex);
+          }
+        });
+      }
+    });
+    
+    // Without words to search, filters apply to every note
+    if (matches === null) {
+      matches = new Map(index.documents.map((document, documentIndex) => (
+        [documentIndex, { score: 0, fields: 0, labels: [], phrases: [] }]
+      )));
+    }
+    
+    textClauses.forEach((clause, i) => {
+      if (clause.type === 'term' && clause.negated) {
+        textMatches[i].forEach((termMatch, documentIndex) => matches.delete(documentIndex));
+      } else if (clause.type === 'phrase') {
+        // Notes without all the words of a phrase can't contain it
+        matches.forEach((match, documentIndex) => {
+          if (textMatches[i].has(documentIndex)) match.phrases.push(clause);
+        });
+      }
+    });
+    
+    const filters = group.filter(clause => !textClauses.includes(clause));
+    if (filters.length > 0) {
+      const notes = window.app && window.app.notes ? window.app.notes : new Map();
+      matches.forEach((match, documentIndex) => {
+        const note = notes.get(index.documents[documentIndex].id);
+        for (const clause of filters) {
+          const label = note ? this.matchFilter(note, clause) : null;
+          if (clause.negated ? label !== null : label === null) {
+            matches.delete(documentIndex);
+            return;
+          }
+          if (!clause.negated) match.labels.push(label);
+        }
+      });
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Label of what matched a tag:, path:, file: or [property] filter in a note, or null
+   */
+  matchFilter(note, clause) {
+    switch (clause.type) {
+      case 'tag': {
+        // Nested tags match their parents (tag:#project matches #project/alpha)
+        const tag = clause.value.replace(/^#/, '');
+        const matchedTag = (note.tags || []).find(noteTag => {
+          const normalized = noteTag.toLowerCase();
+          return normalized === tag || normalized.startsWith(`${tag}/`);
+        });
+        return matchedTag ? `#${matchedTag}` : null;
+      }
+      case 'path': {
+        const notePath = (note.relativePath || '').replace(/\\/g, '/').toLowerCase();
+        return notePath.includes(clause.value.replace(/^\/+/, '')) ? 'path' : null;
+      }
+      case 'file': {
+        const fileName = (note.relativePath || '').split(/[\\/]/).pop().toLowerCase();
+        return fileName.includes(clause.value) ? 'file' : null;
+      }
+      case 'property': {
+        const frontMatter = note.frontMatter || {};
+        const key = Object.keys(frontMatter).find(name => name.toLowerCase() === clause.name);
+        if (key === undefined) return null;
+        if (clause.value === null || clause.value === '') return key;
+        
+        const values = Array.isArray(frontMatter[key]) ? frontMatter[key] : [frontMatter[key]];
+        return values.some(value => value !== null && String(value).toLowerCase().includes(clause.value))
+          ? key
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * BM25 scores of the documents containing a term, with the fields it appears in (as
+   * FIELD_FLAGS). With prefix, the term also matches the indexed terms it starts with,
+   * which weigh less than exact matches.
+   */
+  async scoreTerm(index, term, prefix) {
+    const documentCount = index.documents.length;
+    const scores = new Map();
+    
+    (await this.getPostings(term)).forEach(({ exact, entries }) => {
+      if (!exact && !prefix) return;
+      const documentFrequency = entries.length / 3;
+      const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const weight = exact ? 1 : PREFIX_MATCH_WEIGHT;
+      
+      let documentIndex = 0;
+      for (let i = 0; i < entries.length; i += 3) {
+        documentIndex += entries[i];
+        const frequency = entries[i + 1];
+        const length = index.documents[documentIndex].length;
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * length / index.averageLength);
+        const score = weight * idf * frequency * (BM25_K1 + 1) / (frequency + norm);
+        
+        // A query term scores a document by its best matching indexed term
+        const match = scores.get(documentIndex) || { score: 0, fields: 0 };
+        match.score = Math.max(match.score, score);
+        match.fields |= entries[i + 2];
+        scores.set(documentIndex, match);
+      }
+    });
+    
+    return scores;
+  }
+  
+  /**
+   * Scores of the documents containing every word of a phrase, exactly
+   */
+  async scorePhrase(index, terms) {
+    const termScores = await Promise.all(terms.map(term => this.scoreTerm(index, term, false)));
+    const scores = new Map();
+    termScores[0].forEach((match, documentIndex) => {
+      if (termScores.every(termScore => termScore.has(documentIndex))) {
+        scores.set(documentIndex, {
+          score: termScores.reduce((sum, termScore) => sum + termScore.get(documentIndex).score, 0),
+          fields: 0 // Set by verifyPhrases
+        });
+      }
+    });
+    return scores;
+  }
+  
+  /**
+   * The best results across the OR groups, checking phrases on the notes' text until
+   * enough results are found
+   */
+  async collectResults(index, matchesByGroup, isStale) {
+    const matchesByDocument = new Map();
+    matchesByGroup.forEach(matches => {
+      matches.forEach((match, documentIndex) => {
+        if (!matchesByDocument.has(documentIndex)) matchesByDocument.set(documentIndex, []);
+        matchesByDocument.get(documentIndex).push(match);
+      });
+    });
+    
+    const bestScore = matches => Math.max(...matches.map(match => match.score));
+    const ranked = Array.from(matchesByDocument)
+      .sort((a, b) => bestScore(b[1]) - bestScore(a[1]) ||
+        index.documents[a[0]].title.localeCompare(index.documents[b[0]].title));
+    
+    const results = [];
+    for (const [documentIndex, matches] of ranked) {
+      if (results.length >= MAX_RESULTS || isStale()) break;
+      
+      const document = index.documents[documentIndex];
+      matches.sort((a, b) => b.score - a.score);
+      for (const match of matches) {
+        if (await this.verifyPhrases(document, match)) {
+          results.push({ ...document, fields: this.getFieldLabels(match) });
+          break;
+        }
+      }
+    }
+    return results;
+  }
+  
+  /**
+   * Whether a note contains the phrases it must, and none of the ones it mustn't. Notes are
+   * loaded for their content when needed. When it can't be loaded, required phrases are
+   * assumed to be in it, but excluded ones can't be ruled out: the note is left out.
+   */
+  async verifyPhrases(document, match) {
+    if (match.phrases.length === 0) return true;
+    
+    const note = window.app && window.app.fetchNote ? await window.app.fetchNote(document.id) : null;
+    const content = note && typeof note.content === 'string' ? note.content : null;
+    
+    for (const phrase of match.phrases) {
+      // The note is loaded again by the next search (failed loads aren't cached)
+      if (phrase.negated && content === null) return false;
+      
+      let fields = 0;
+      if (this.containsPhrase(document.title, phrase.terms)) fields |= FIELD_FLAGS.title;
+      if (document.aliases.some(alias => this.containsPhrase(alias, phrase.terms))) fields |= FIELD_FLAGS.aliases;
+      if (content === null || this.containsPhrase(content, phrase.terms)) fields |= FIELD_FLAGS.content;
+      
+      if (phrase.negated ? fields !== 0 : fields === 0) return false;
+      if (!phrase.negated) match.fields |= fields;
+    }
+    return true;
+  }
+  
+  containsPhrase(text, terms) {
+    return ` ${this.tokenize(text).join(' ')} `.includes(` ${terms.join(' ')} `);
+  }
+  
+  // Names of the fields and filters a result matched
+  getFieldLabels(match) {
+    const fields = Object.keys(FIELD_FLAGS)
+      .filter(field => match.fields & FIELD_FLAGS[field])
+      .map(field => FIELD_LABELS[field]);
+    return fields.concat(match.labels);
+  }
+  
+  displayResults(results, terms) {
+    this.results = results;
+    this.selectedIndex = -1;
+    
     if (results.length === 0) {
       this.searchResults.innerHTML = '<div class="search-result">No results found</div>';
     } else {
       this.searchResults.innerHTML = results
-        .map(result => this.createResultHTML(result, query))
+        .map(result => this.createResultHTML(result, terms))
         .join('');
     }
     
@@ -73,37 +502,76 @@ class Search {
     });
   }
   
-  createResultHTML(result, query) {
-    const excerpt = this.getExcerpt(result.content, query);
+  highlightResult(index) {
+    this.selectedIndex = index;
+    this.searchResults.querySelectorAll('.search-result').forEach((el, elIndex) => {
+      el.classList.toggle('selected', elIndex === index);
+      if (elIndex === index) el.scrollIntoView({ block: 'nearest' });
+    });
+  }
+  
+  createResultHTML(result, terms) {
+    const excerpt = this.getExcerpt(result, terms);
+    // Show the alias that matched when the title doesn't
+    const matches = text => this.tokenize(text).some(word => terms.some(term => word.startsWith(term)));
+    const matchedAlias = matches(result.title)
+      ? null
+      : result.aliases.find(alias => matches(alias));
+    const aliasHtml = matchedAlias
+      ? ` <span class="search-result-alias">${this.highlightText(matchedAlias, terms)}</span>`
+      : '';
+    const fieldsHtml = result.fields.length > 0
+      ? `<div class="search-result-fields">${result.fields
+        .map(field => `<span class="search-result-field">${window.app.escapeHtml(field)}</span>`)
+        .join('')}</div>`
+      : '';
     return `
-      <div class="search-result" data-note-id="${result.id}">
-        <div class="search-result-title">${this.highlightText(result.title, query)}</div>
-        <div class="search-result-excerpt">${this.highlightText(excerpt, query)}</div>
+      <div class="search-result" data-note-id="${window.app.escapeHtml(result.id)}">
+        <div class="search-result-title">${this.highlightText(result.title, terms)}${aliasHtml}</div>
+        <div class="search-result-excerpt">${this.highlightText(excerpt, terms)}</div>
+        ${fieldsHtml}
       </div>
     `;
   }
   
-  getExcerpt(content, query) {
+  // Context around the first match when the note's content is loaded, else its stored excerpt
+  getExcerpt(result, terms) {
+    const note = window.app && window.app.notes ? window.app.notes.get(result.id) : null;
+    const content = note && typeof note.content === 'string' ? note.content : '';
     const lowerContent = content.toLowerCase();
-    const lowerQuery = query.toLowerCase();
-    const index = lowerContent.indexOf(lowerQuery);
+    const indexes = terms
+      .map(term => lowerContent.indexOf(term))
+      .filter(index => index !== -1);
     
-    if (index === -1) {
-      return content.slice(0, 100) + (content.length > 100 ? '...' : '');
+    if (indexes.length === 0) {
+      return result.excerpt;
     }
     
+    const index = Math.min(...indexes);
     const start = Math.max(0, index - 50);
-    const end = Math.min(content.length, index + query.length + 50);
+    const end = Math.min(content.length, index + 100);
     const excerpt = content.slice(start, end);
     
     return (start > 0 ? '...' : '') + excerpt + (end < content.length ? '...' : '');
   }
   
-  highlightText(text, query) {
-    if (!query) return text;
+  // Escape text and highlight the words starting with a query term
+  highlightText(text, terms) {
+    if (terms.length === 0) return window.app.escapeHtml(text);
+    
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const regex = new RegExp(`(^|[^\\p{L}\\p{N}])((?:${escaped.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
     
-    const regex = new RegExp(`(${query})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
+    // Matches are found in the raw text, then each segment is escaped on its own, so that
+    // terms never match inside the entities of escaped characters
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(regex)) {
+      const start = match.index + match[1].length;
+      html += window.app.escapeHtml(text.slice(lastIndex, start)) + `<mark>${window.app.escapeHtml(match[2])}</mark>`;
+      lastIndex = start + match[2].length;
+    }
+    return html + window.app.escapeHtml(text.slice(lastIndex));
   }
   
   selectResult(noteId) {
@@ -0,0 +1,272 @@
+// Stacked notes
+//
+// An alternative to opening notes in place: internal links open their target in a new pane to the
+// right of the note they are in, replacing the panes after it. As the stack scrolls horizontally,
+// panes slide over the earlier ones, which collapse into vertical spines showing their title.
+// The stack is encoded in the URL (/root-note?stack=a&stack=b) so that it can be shared.
+//
+// The layout is enabled by the `stackedNotes` option, and readers can toggle it from the command
+// palette. Opening a note from the sidebar, search or history replaces the whole stack.
+
+const STACKED_SPINE_WIDTH = 40; // --stacked-spine-width in main.css
+const STACKED_STORAGE_KEY = 'obsidian-stacked-notes';
+const STACKED_ANCHOR_SELECTOR = 'h1[id], h2[id], h3[id], h4[id], h5[id], h6[id], [id^="^"]';
+
+class StackedNotes {
+  constructor(app) {
+    this.app = app;
+    this.wrapper = document.querySelector('.content-wrapper');
+    this.panes = []; // Panes to the right of #note-content: { noteId, element }
+
+    this.init();
+  }
+
+  init() {
+    if (!this.wrapper) return;
+
+    this.wrapper.addEventListener('scroll', () => this.updateSpines(), { passive: true });
+    window.addEventListener('resize', () => this.updateSpines());
+
+    this.wrapper.addEventListener('click', (event) => {
+      if (!(event.target instanceof Element)) return;
+
+      const closeButton = event.target.closest('.stacked-pane-close');
+      if (closeButton) {
+        this.closePanes(this.getPaneElements().indexOf(closeButton.closest('.stacked-pane')) - 1);
+        this.updateUrl(true);
+        return;
+      }
+
+      // Clicking the spine of a collapsed pane brings it back into view
+      const spine = event.target.closest('.stacked-pane-spine');
+      if (spine) {
+        this.focusPane(this.getPaneElements().indexOf(spine.parentElement));
+      }
+    });
+  }
+
+  isEnabled() {
+    const stored = localStorage.getItem(STACKED_STORAGE_KEY);
+    return stored !== null ? stored === 'true' : this.app.settings.stackedNotes === true;
+  }
+
+  setEnabled(enabled) {
+    localStorage.setItem(STACKED_STORAGE_KEY, String(enabled));
+    if (!enabled && this.panes.length > 0) {
+      this.closePanes(0);
+      this.updateUrl(true);
+    }
+  }
+
+  // Note IDs of the stacked panes
+  getStack() {
+    return this.panes.map(({ noteId }) => noteId);
+  }
+
+  // Stacked note IDs from the URL, without unknown notes
+  getStackFromUrl() {
+    return new URLSearchParams(window.location.search)
+      .getAll('stack')
+      .filter(noteId => this.app.notes.has(noteId));
+  }
+
+  // #note-content followed by the stacked panes
+  getPaneElements() {
+    return [document.getElementById('note-content'), ...this.panes.map(({ element }) => element)];
+  }
+
+  /**
+   * Open an internal link of a note in stacked mode. Returns false when the link should
+   * open in place instead.
+   */
+  handleLinkClick(link, noteId, anchor) {
+    if (!this.wrapper || !this.app.currentNote || !this.app.notes.has(noteId)) return false;
+    if (!this.isEnabled() && this.panes.length === 0) return false;
+
+    const paneIndex = this.getPaneElements().indexOf(link.closest('.stacked-pane, #note-content'));
+    if (paneIndex === -1) return false;
+
+    // A note already in the stack is brought into view rather than opened twice
+    const existingIndex = [this.app.currentNote.id, ...this.getStack()].indexOf(noteId);
+    if (existingIndex !== -1) {
+      this.focusPane(existingIndex, anchor);
+      return true;
+    }
+
+    this.closePanes(paneIndex);
+    this.openPane(noteId, anchor);
+    this.updateUrl(true);
+    return true;
+  }
+
+  /**
+   * Replace the stacked panes with notes, e.g. from the URL or the history
+   */
+  async restore(noteIds) {
+    this.closePanes(0);
+    if (!this.app.currentNote) return;
+
+    const stack = noteIds.filter((noteId, index) =>
+      this.app.notes.has(noteId) && noteId !== this.app.currentNote.id && noteIds.indexOf(noteId) === index);
+    await Promise.all(stack.map(noteId => this.openPane(noteId, null, false)));
+    if (this.panes.length > 0) {
+      this.focusPane(this.panes.length, null, false);
+    }
+  }
+
+  async openPane(noteId, anchor = null, focus = true) {
+    const element = document.createElement('article');
+    element.className = 'note-content stacked-pane';
+    element.innerHTML = '<div class="stacked-pane-loading">Loading…</div>';
+    this.wrapper.appendChild(element);
+    const pane = { noteId, element };
+    this.panes.push(pane);
+    this.layout();
+
+    const note = await this.app.fetchNote(noteId);
+    if (!this.panes.includes(pane)) return; // Closed while loading
+
+    const title = this.app.escapeHtml(note.title);
+    element.innerHTML = `
+      <div class="stacked-pane-spine" title="${title}">${title}</div>
+      <button type="button" class="icon-button stacked-pane-close" title="Close pane" aria-label="Close pane">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>
+      </button>
+      <h1 class="note-title">${title}</h1>
+      ${note.frontMatterHtml || ''}
+      <div class="note-body">${note.html || ''}</div>
+    `;
+
+    // Heading and block anchors mustn't clash with the ones of the other panes: links to them
+    // are resolved within the pane
+    element.querySelectorAll(STACKED_ANCHOR_SELECTOR).forEach(anchorElement => {
+      anchorElement.dataset.paneAnchor = anchorElement.id;
+      anchorElement.removeAttribute('id');
+    });
+
+    if (window.initializeAllABCNotation) {
+      window.initializeAllABCNotation();
+    }
+    if (window.initializeMermaid) {
+      window.initializeMermaid();
+    }
+    this.app.initializeCodeCopyButtons();
+
+    if (focus) {
+      this.focusPane(this.panes.indexOf(pane) + 1, anchor);
+    }
+  }
+
+  // Close the stacked panes from an index on, and leave the stacked layout when none is left
+  closePanes(index) {
+    this.panes.splice(Math.max(index, 0)).forEach(({ element }) => element.remove());
+    this.layout();
+  }
+
+  // Sticky offsets of the panes, and the spine of #note-content
+  layout() {
+    const elements = this.getPaneElements();
+    const root = elements[0];
+    const stacked = this.panes.length > 0;
+    this.wrapper.classList.toggle('stacked', stacked);
+
+    let rootSpine = root ? root.querySelector(':scope > .stacked-pane-spine') : null;
+    if (stacked && root && !rootSpine && this.app.currentNote) {
+      rootSpine = document.createElement('div');
+      rootSpine.className = 'stacked-pane-spine';
+      rootSpine.title = this.app.currentNote.title;
+      rootSpine.textContent = this.app.currentNote.title;
+      root.prepend(rootSpine);
+    } else if (!stacked && rootSpine) {
+      rootSpine.remove();
+    }
+
+    elements.forEach((element, index) => {
+      if (!element) return;
+      if (stacked) {
+        element.style.setProperty('--stacked-pane-index', String(index));
+      } else {
+        element.style.removeProperty('--stacked-pane-index');
+        element.classList.remove('stacked-pane-collapsed');
+      }
+    });
+    this.updateSpines();
+  }
+
+  // Collapse the panes that the next one almost covers
+  updateSpines() {
+    if (this.panes.length === 0) return;
+
+    const elements = this.getPaneElements();
+    elements.forEach((element, index) => {
+      const next = elements[index + 1];
+      const visibleWidth = next ? next.getBoundingClientRect().left - element.getBoundingClientRect().left : Infinity;
+      const collapsed = visibleWidth < 2 * STACKED_SPINE_WIDTH;
+      if (collapsed === element.classList.contains('stacked-pane-collapsed')) return;
+
+      // Spines hide the content of their pane: keep its scroll position for when it comes back
+      if (collapsed) {
+        element.dataset.scrollTop = String(element.scrollTop);
+        element.classList.add('stacked-pane-collapsed');
+      } else {
+        element.classList.remove('stacked-pane-collapsed');
+        element.scrollTop = Number(element.dataset.scrollTop) || 0;
+      }
+    });
+  }
+
+  /**
+   * Scroll the stack so that a pane is fully visible, then to an anchor in it
+   */
+  focusPane(index, anchor = null, smooth = true) {
+    const element = this.getPaneElements()[index];
+    if (!element) return;
+
+    if (this.panes.length > 0) {
+      // Panes have the same width, and stick to the left after the spines of the ones before them
+      const width = element.offsetWidth;
+      const min = (index + 1) * width - this.wrapper.clientWidth;
+      const max = index * (width - STACKED_SPINE_WIDTH);
+      const left = Math.max(Math.min(this.wrapper.scrollLeft, max), Math.min(min, max));
+      this.wrapper.scrollTo({ left, behavior: smooth ? 'smooth' : 'auto' });
+    }
+
+    if (!anchor) return;
+    if (index === 0) {
+      this.app.scrollToAnchor(anchor);
+      return;
+    }
+    const target = Array.from(element.querySelectorAll('[data-pane-anchor]'))
+      .find(anchorElement => anchorElement.dataset.paneAnchor === anchor);
+    if (target) {
+      element.scrollTo({ top: target.offsetTop - STACKED_SPINE_WIDTH, behavior: smooth ? 'smooth' : 'auto' });
+    }
+  }
+
+  /**
+   * Encode the stack in the URL: /root-note?stack=a&stack=b#root-anchor
+   */
+  updateUrl(addToHistory) {
+    const note = this.app.currentNote;
+    if (!note) return;
+
+    const stack = this.getStack();
+    const params = new URLSearchParams();
+    stack.forEach(noteId => params.append('stack', noteId));
+    const query = stack.length > 0 ? `?${params.toString()}` : '';
+    const anchor = window.history.state?.anchor || null;
+    const hash = anchor ? `#${anchor}` : '';
+    const url = `${window.location.origin}${this.app.basePath}/${note.id}${query}${hash}`;
+    const state = { noteId: note.id, anchor, stack, scrollY: window.scrollY };
+
+    if (addToHistory) {
+      window.history.pushState(state, note.title, url);
+    } else {
+      window.history.replaceState(state, note.title, url);
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.StackedNotes = StackedNotes;
+}
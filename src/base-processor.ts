@@ -1,8 +1,11 @@
 import yaml from 'js-yaml';
 import path from 'path';
-import { Base, BaseFilter, BaseFormula, BaseProperty, Note } from './types';
+import { FormulaEngine, FormulaError } from './formula-engine';
+import { Base, BaseFilter, BaseFormula, BaseProperty, FormulaCellError, Note } from './types';
 
 export class BaseProcessor {
+    private formulaEngine = new FormulaEngine();
+
     /**
      * Process a .base file and create a Base object
      */
@@ -64,7 +67,7 @@ export class BaseProcessor {
                 filters: data.filters,
                 views: data.views || [],
                 properties,
-                formulas: data.formulas || [],
+                formulas: this.normalizeFormulas(data.formulas),
                 matchedNotes: [] as Note[]
             };
 
@@ -75,6 +78,22 @@ export class BaseProcessor {
         }
     }
 
+    /**
+     * Normalize formulas, written as a map of names to formulas as in Obsidian, or as a list of
+     * { name, formula } objects
+     */
+    private normalizeFormulas(formulas: unknown): BaseFormula[] {
+        if (Array.isArray(formulas)) {
+            return formulas.filter(formula => formula && typeof formula.name === 'string' && typeof formula.formula === 'string');
+        }
+        if (typeof formulas === 'object' && formulas !== null) {
+            return Object.entries(formulas)
+                .filter(([, formula]) => typeof formula === 'string' || typeof formula === 'number')
+                .map(([name, formula]) => ({ name, formula: String(formula) }));
+        }
+        return [];
+    }
+
     /**
      * Filter notes based on base criteria
      */
@@ -109,73 +128,51 @@ export class BaseProcessor {
     }
 
     /**
-     * Process formulas for notes in a base
+     * Process formulas for notes in a base. Each note gets the value of every formula in
+     * `frontMatter.computed`, or the error of the formula for that note.
      */
     processFormulas(base: Base, notes: Note[]): Note[] {
         if (!base.formulas || base.formulas.length === 0) {
             return notes;
         }
 
-        return notes.map(note => {
-            const processedNote = { ...note };
+        const formulas: Record<string, string> = {};
+        base.formulas.forEach(formula => {
+            formulas[formula.name] = formula.formula;
+        });
 
-            // Add computed properties for each formula
-            if (base.formulas) {
-                base.formulas.forEach(formula => {
-                    const result = this.evaluateFormula(formula, note, base);
-                    if (processedNote.frontMatter.computed) {
-                        processedNote.frontMatter.computed[formula.name] = result;
+        // Formula name -> number of notes it failed for, and the first error
+        const failures = new Map<string, { count: number; message: string }>();
+
+        const processedNotes = notes.map(note => {
+            const computed: Record<string, unknown> = {};
+            this.formulaEngine.evaluateAll(formulas, note).forEach((result, name) => {
+                try {
+                    if (result instanceof FormulaError) throw result;
+                    computed[name] = this.formulaEngine.toOutput(result);
+                } catch (error) {
+                    const message = error instanceof Error ? error.message : String(error);
+                    const cellError: FormulaCellError = { error: message };
+                    computed[name] = cellError;
+
+                    const failure = failures.get(name);
+                    if (failure) {
+                        failure.count++;
                     } else {
-                        processedNote.frontMatter.computed = { [formula.name]: result };
+                        failures.set(name, { count: 1, message });
                     }
-                });
-            }
-
-            return processedNote;
-        });
-    }
-
-    /**
-     * Evaluate a formula for a specific note
-     */
-    private evaluateFormula(formula: BaseFormula, note: Note, base: Base): any {
-        try {
-            // Simple formula evaluation - in a full implementation, this would be more robust
-            let expression = formula.formula;
-
-            // Replace common variables
-            expression = expression.replace(/file\.name/g, `"${note.title}"`);
-            expression = expression.replace(/file\.path/g, `"${note.relativePath}"`);
-            expression = expression.replace(/file\.size/g, String(this.getFileSize(note) || 0));
-
-            // Replace frontmatter properties
-            Object.keys(note.frontMatter).forEach(key => {
-                const value = note.frontMatter[key];
-                if (typeof value === 'string') {
-                    expression = expression.replace(new RegExp(`${key}`, 'g'), `"${value}"`);
-                } else if (typeof value === 'number') {
-                    expression = expression.replace(new RegExp(`${key}`, 'g'), String(value));
-                } else if (typeof value === 'boolean') {
-                    expression = expression.replace(new RegExp(`${key}`, 'g'), String(value));
                 }
             });
 
-            // Handle simple mathematical operations
-            if (/^[\d\s+\-*/()\.]+$/.test(expression)) {
-                return eval(expression);
-            }
+            // Notes are shared by all bases: computed values go in a copy of the frontmatter
+            return { ...note, frontMatter: { ...note.frontMatter, computed } };
+        });
 
-            // Handle string concatenation
-            if (expression.includes('+') && expression.includes('"')) {
-                return eval(expression);
-            }
+        failures.forEach(({ count, message }, name) => {
+            console.warn(`⚠️ Formula "${name}" of base ${base.title} failed for ${count} note${count === 1 ? '' : 's'}: ${message}`);
+        });
 
-            // Return formula as-is if we can't evaluate it
-            return formula.formula;
-        } catch (error) {
-            console.warn(`Failed to evaluate formula "${formula.name}":`, error);
-            return formula.formula;
-        }
+        return processedNotes;
     }
 
     /**
@@ -589,14 +586,18 @@ export class BaseProcessor {
      * Evaluate hasTag filter
      */
     private evaluateHasTag(value: string | string[], note: Note): boolean {
-        const tags = note.frontMatter.tags || [];
-        const noteTags = Array.isArray(tags) ? tags : [tags];
+        const queries = Array.isArray(value) ? value : [value];
+        return queries.some(query => note.tags.some(tag => this.tagMatches(tag, query)));
+    }
 
-        if (Array.isArray(value)) {
-            return value.some(tag => noteTags.includes(tag));
-        } else {
-            return noteTags.includes(value);
-        }
+    /**
+     * Check whether a tag matches a queried tag, including nested tags
+     * (#project matches #project and #project/alpha)
+     */
+    private tagMatches(tag: string, query: string): boolean {
+        const normalizedTag = tag.replace(/^#/, '').toLowerCase();
+        const normalizedQuery = String(query).trim().replace(/^#/, '').toLowerCase();
+        return normalizedTag === normalizedQuery || normalizedTag.startsWith(`${normalizedQuery}/`);
     }
 
     /**
@@ -738,12 +739,21 @@ export class BaseProcessor {
                 valueB = this.getFileCtime(b);
                 break;
             case 'file.tags':
-                valueA = (a.frontMatter.tags || []).join(',');
-                valueB = (b.frontMatter.tags || []).join(',');
+                valueA = a.tags.join(',');
+                valueB = b.tags.join(',');
                 break;
             default:
-                valueA = a.frontMatter[property];
-                valueB = b.frontMatter[property];
+                if (property.startsWith('formula.')) {
+                    // Failed formulas sort as empty values
+                    const name = property.substring('formula.'.length);
+                    valueA = a.frontMatter.computed?.[name];
+                    valueB = b.frontMatter.computed?.[name];
+                    if (valueA && typeof valueA === 'object' && 'error' in valueA) valueA = null;
+                    if (valueB && typeof valueB === 'object' && 'error' in valueB) valueB = null;
+                } else {
+                    valueA = a.frontMatter[property];
+                    valueB = b.frontMatter[property];
+                }
         }
 
         // Handle different data types
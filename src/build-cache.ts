@@ -0,0 +1,131 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { RenderedMarkdown, SiteConfig } from './types';
+
+/**
+ * Build Cache
+ *
+ * Persists between builds of a vault into the same output directory:
+ * - the rendered markdown of each note, keyed by a hash of its content, so that
+ *   unchanged notes skip markdown rendering (and Shiki highlighting);
+ * - a hash of each output file's inputs, so that unchanged pages are neither
+ *   re-rendered nor rewritten, and files left over from removed notes are deleted.
+ *
+ * The cache lives in the system temp directory, never in the published output, and
+ * is discarded whenever the configuration or the generator version changes.
+ */
+
+// Bump when the rendering of notes or pages changes, to invalidate existing caches
+const CACHE_VERSION = 5;
+
+interface CachedNote extends RenderedMarkdown {
+  hash: string; // Hash of the markdown file content
+}
+
+interface CacheData {
+  version: string;
+  notes: Record<string, CachedNote>; // Vault-relative path -> rendering
+  outputs: Record<string, string>; // Output-relative path -> hash of the file's inputs
+}
+
+export class BuildCache {
+  private cacheFile: string;
+  private version: string;
+  private previous: CacheData | null = null;
+  private current: CacheData;
+
+  constructor(vaultPath: string, outputPath: string, config: SiteConfig) {
+    const key = BuildCache.hash(`${path.resolve(vaultPath)}\n${path.resolve(outputPath)}`).substring(0, 16);
+    this.cacheFile = path.join(os.tmpdir(), 'obsidianp-cache', `${key}.json`);
+    this.version = BuildCache.hash(`${CACHE_VERSION}\n${this.getGeneratorVersion()}\n${JSON.stringify(config)}`);
+    this.current = { version: this.version, notes: {}, outputs: {} };
+  }
+
+  /**
+   * Hash a string (file content, page inputs...)
+   */
+  static hash(content: string): string {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Load the cache of the previous build. Returns false when there is none
+   * (first build, or configuration or generator changed since).
+   */
+  async load(): Promise<boolean> {
+    try {
+      const data: CacheData = await fs.readJson(this.cacheFile);
+      this.previous = data.version === this.version ? data : null;
+    } catch {
+      this.previous = null;
+    }
+    return this.previous !== null;
+  }
+
+  /**
+   * Get the rendering of a note from the previous build, if its content is unchanged
+   */
+  getNote(relativePath: string, content: string): RenderedMarkdown | undefined {
+    const hash = BuildCache.hash(content);
+    const cached = this.previous?.notes[relativePath];
+    if (cached && cached.hash === hash) {
+      this.current.notes[relativePath] = cached;
+      return cached;
+    }
+    return undefined;
+  }
+
+  /**
+   * Store the rendering of a note for the next build
+   */
+  setNote(relativePath: string, content: string, rendered: RenderedMarkdown): void {
+    const { html, frontMatterHtml, links, tags, headings, blockIds } = rendered;
+    this.current.notes[relativePath] = { hash: BuildCache.hash(content), html, frontMatterHtml, links, tags, headings, blockIds };
+  }
+
+  /**
+   * Whether an output file was built from the same inputs by the previous build
+   */
+  isOutputUpToDate(outputFile: string, inputsHash: string): boolean {
+    return this.previous?.outputs[this.normalize(outputFile)] === inputsHash;
+  }
+
+  /**
+   * Record an output file of this build, with the hash of its inputs
+   */
+  setOutput(outputFile: string, inputsHash: string): void {
+    this.current.outputs[this.normalize(outputFile)] = inputsHash;
+  }
+
+  /**
+   * Output files of the previous build that this build didn't produce
+   */
+  getStaleOutputs(): string[] {
+    return Object.keys(this.previous?.outputs || {}).filter(file => !(file in this.current.outputs));
+  }
+
+  /**
+   * Save this build's cache for the next build
+   */
+  async save(): Promise<void> {
+    try {
+      await fs.outputJson(this.cacheFile, this.current);
+    } catch (error) {
+      console.warn(`⚠️  Could not save the build cache to ${this.cacheFile}:`, error);
+    }
+  }
+
+  private normalize(outputFile: string): string {
+    return outputFile.split(path.sep).join('/');
+  }
+
+  private getGeneratorVersion(): string {
+    try {
+      return require('../package.json').version;
+    } catch {
+      return '';
+    }
+  }
+}
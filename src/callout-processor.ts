@@ -0,0 +1,159 @@
+import { marked } from 'marked';
+import { escapeHtml, getLucideIcon } from './templates';
+import { CalloutDefinition } from './types';
+
+/**
+ * Callout Processor
+ *
+ * Converts Obsidian callout blockquotes (`> [!type] Title`) into styled blocks.
+ * Foldable callouts (`[!type]+` / `[!type]-`) are rendered as <details> elements
+ * so they can be toggled without any client-side JavaScript.
+ */
+
+interface ResolvedCallout {
+  type: string;
+  icon: string;
+  color: string;
+  title: string;
+}
+
+// Built-in Obsidian callout types, their aliases, Lucide icon and accent color
+const DEFAULT_CALLOUTS: Record<string, CalloutDefinition> = {
+  note: { icon: 'Pencil', color: '#448aff' },
+  abstract: { icon: 'ClipboardList', color: '#00bfbc', aliases: ['summary', 'tldr'] },
+  info: { icon: 'Info', color: '#448aff' },
+  todo: { icon: 'CircleCheck', color: '#448aff' },
+  tip: { icon: 'Flame', color: '#00bfbc', aliases: ['hint', 'important'] },
+  success: { icon: 'Check', color: '#08b94e', aliases: ['check', 'done'] },
+  question: { icon: 'CircleHelp', color: '#ec7500', aliases: ['help', 'faq'] },
+  warning: { icon: 'TriangleAlert', color: '#ec7500', aliases: ['caution', 'attention'] },
+  failure: { icon: 'X', color: '#e93147', aliases: ['fail', 'missing'] },
+  danger: { icon: 'Zap', color: '#e93147', aliases: ['error'] },
+  bug: { icon: 'Bug', color: '#e93147' },
+  example: { icon: 'List', color: '#7852ee' },
+  quote: { icon: 'Quote', color: '#9e9e9e', aliases: ['cite'] }
+};
+
+export class CalloutProcessor {
+  private calloutHeaderPattern = /^>\s*\[!([^\]\s]+)\]([+-])?[ \t]*(.*)$/;
+  private definitions: Record<string, CalloutDefinition>;
+  private aliases: Map<string, string> = new Map();
+
+  constructor(customCallouts: Record<string, CalloutDefinition> = {}) {
+    this.definitions = { ...DEFAULT_CALLOUTS };
+
+    // Custom definitions extend (or override) the built-in ones
+    for (const [type, definition] of Object.entries(customCallouts)) {
+      const key = type.toLowerCase();
+      this.definitions[key] = { ...this.definitions[key], ...definition };
+    }
+
+    for (const [type, definition] of Object.entries(this.definitions)) {
+      (definition.aliases || []).forEach(alias => this.aliases.set(alias.toLowerCase(), type));
+    }
+  }
+
+  /**
+   * Replace every callout blockquote in the markdown with callout HTML.
+   * The callout body stays markdown (separated by blank lines) so that it is
+   * rendered by the same marked pass as the rest of the note.
+   */
+  process(content: string): string {
+    const lines = content.split('\n');
+    const output: string[] = [];
+    let fence: string | null = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Never touch callout-like syntax inside fenced code blocks
+      const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1].startsWith(fence)) {
+          fence = null;
+        }
+        output.push(line);
+        continue;
+      }
+
+      const headerMatch = fence ? null : line.match(this.calloutHeaderPattern);
+      if (!headerMatch) {
+        output.push(line);
+        continue;
+      }
+
+      // Collect the rest of the blockquote and strip one level of '>'
+      const bodyLines: string[] = [];
+      while (i + 1 < lines.length && lines[i + 1].startsWith('>')) {
+        i++;
+        bodyLines.push(lines[i].replace(/^>[ \t]?/, ''));
+      }
+
+      const [, type, fold, title] = headerMatch;
+      // Process the body recursively to support nested callouts
+      const body = this.process(bodyLines.join('\n'));
+      output.push(this.renderCallout(type, fold, title, body));
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Resolve a callout type (or alias) to its icon, color and default title
+   */
+  private resolveCallout(rawType: string): ResolvedCallout {
+    const requested = rawType.toLowerCase();
+    const type = this.aliases.get(requested) || requested;
+    // Unknown types fall back to the note style, like in Obsidian
+    const definition = this.definitions[type] || this.definitions.note;
+
+    // Aliases and unknown types are titled after the name that was written
+    const title = this.definitions[requested]?.title || requested.charAt(0).toUpperCase() + requested.slice(1);
+
+    return {
+      type,
+      icon: definition.icon || 'Pencil',
+      color: definition.color || DEFAULT_CALLOUTS.note.color!,
+      title
+    };
+  }
+
+  /**
+   * Render a single callout block
+   */
+  private renderCallout(rawType: string, fold: string | undefined, title: string, body: string): string {
+    const callout = this.resolveCallout(rawType);
+    const titleHtml = title.trim() ? (marked.parseInline(title.trim()) as string) : escapeHtml(callout.title);
+    const iconHtml = getLucideIcon(callout.icon, 16).replace(/\s*\n\s*/g, ' ').trim();
+    const foldable = fold === '+' || fold === '-';
+    const attributes = `data-callout="${escapeHtml(callout.type)}" style="--callout-color: ${escapeHtml(callout.color)};"`;
+
+    const titleInner = `<span class="callout-icon">${iconHtml}</span><span class="callout-title-inner">${titleHtml}</span>`;
+    const contentHtml = body.trim()
+      ? `<div class="callout-content">\n\n${body}\n\n</div>`
+      : '';
+
+    if (foldable) {
+      const chevron = getLucideIcon('ChevronDown', 16).replace(/\s*\n\s*/g, ' ').trim();
+      return [
+        '',
+        `<details class="callout is-collapsible" ${attributes}${fold === '+' ? ' open' : ''}>`,
+        `<summary class="callout-title">${titleInner}<span class="callout-fold">${chevron}</span></summary>`,
+        contentHtml,
+        '</details>',
+        ''
+      ].join('\n');
+    }
+
+    return [
+      '',
+      `<div class="callout" ${attributes}>`,
+      `<div class="callout-title">${titleInner}</div>`,
+      contentHtml,
+      '</div>',
+      ''
+    ].join('\n');
+  }
+}
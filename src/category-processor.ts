@@ -0,0 +1,107 @@
+import { Note } from './types';
+import { MarkdownProcessor } from './markdown-processor';
+import { LinkResolver } from './link-resolver';
+import { escapeHtml } from './templates';
+
+/**
+ * Category Processor
+ *
+ * Builds category hubs from the `categories` frontmatter index: a sortable table of
+ * the member notes, with a column for each frontmatter property used in the category.
+ * The hub extends the note named after the category, or becomes a generated page.
+ */
+
+// Properties that describe the note itself rather than the category members
+const EXCLUDED_PROPERTIES = ['title', 'categories', 'aliases', 'alias', 'cssclasses', 'publish', 'draft', 'noindex'];
+
+export class CategoryProcessor {
+  private markdownProcessor: MarkdownProcessor;
+
+  constructor(markdownProcessor: MarkdownProcessor) {
+    this.markdownProcessor = markdownProcessor;
+  }
+
+  /**
+   * Clean a category value ("[[Books]]", "[[Books|My books]]" or "Books") into the category name
+   */
+  cleanCategory(category: unknown): string {
+    return String(category).trim().replace(/^\[\[|\]\]$/g, '').split('|')[0].trim();
+  }
+
+  /**
+   * ID (and URL) of a category hub, the same one a [[Category]] link points to
+   */
+  getHubId(category: string): string {
+    return this.markdownProcessor.generateNoteId(category);
+  }
+
+  /**
+   * Find the note a category hub extends, the one a [[Category]] link resolves to
+   */
+  findHubNote(category: string, linkResolver: LinkResolver): Note | undefined {
+    return linkResolver.resolve(category);
+  }
+
+  /**
+   * Get the frontmatter properties used by the members of a category, most common first
+   */
+  getCategoryProperties(members: Note[]): string[] {
+    const counts = new Map<string, number>();
+
+    members.forEach(note => {
+      Object.entries(note.frontMatter || {}).forEach(([key, value]) => {
+        if (EXCLUDED_PROPERTIES.includes(key) || value === null || value === undefined) return;
+        // Nested objects can't be shown (or sorted) in a single cell
+        if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) return;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Generate the listing of category members, sortable by clicking the column headers.
+   * Member links use the note URLs of the markdown processor, under the site's basePath
+   */
+  generateCategoryListing(category: string, members: Note[]): string {
+    const properties = this.getCategoryProperties(members);
+    const sortedMembers = [...members].sort((a, b) => a.title.localeCompare(b.title));
+
+    const headersHtml = ['Name', ...properties].map((label, index) =>
+      `<th class="sortable" data-sort-index="${index}"${index === 0 ? ' data-sort-direction="asc"' : ''}>${escapeHtml(label)}</th>`
+    ).join('');
+
+    const rowsHtml = sortedMembers.map(note => {
+      const cellsHtml = properties.map(property => {
+        const value = note.frontMatter[property];
+        const text = this.formatValue(value);
+        return `<td data-sort-value="${escapeHtml(text.toLowerCase())}">${escapeHtml(text)}</td>`;
+      }).join('');
+
+      return `<tr data-note-id="${note.id}"><td data-sort-value="${escapeHtml(note.title.toLowerCase())}"><a href="${this.markdownProcessor.getNoteUrl(note.id)}" class="internal-link">${escapeHtml(note.title)}</a></td>${cellsHtml}</tr>`;
+    }).join('');
+
+    return `<section class="category-hub" data-category="${escapeHtml(category)}">
+      <h2 class="category-hub-title">${escapeHtml(category)} <span class="category-hub-count">${members.length}</span></h2>
+      <div class="table-view">
+        <table class="base-table category-table">
+          <thead><tr>${headersHtml}</tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    </section>`;
+  }
+
+  /**
+   * Format a frontmatter value for display, showing [[links]] by their name
+   */
+  private formatValue(value: any): string {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (Array.isArray(value)) return value.map(item => this.formatValue(item)).join(', ');
+    return this.cleanCategory(value);
+  }
+}
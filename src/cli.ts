@@ -6,6 +6,8 @@ import * as fs from 'fs-extra';
 import * as chokidar from 'chokidar';
 import stripComments from 'strip-json-comments';
 import { SiteGenerator } from './site-generator';
+import { VaultChecker } from './vault-checker';
+import { DevServer } from './dev-server';
 import { SiteConfig } from './types';
 
 // Shared default configuration used across all commands
@@ -29,6 +31,7 @@ program
   .option('-t, --title <title>', 'Site title (overrides config file)')
   .option('-b, --base-path <path>', 'Base path for hosting in subfolders (e.g., "/poseidon")')
   .option('-c, --config <config-file>', 'Path to configuration file')
+  .option('--no-cache', 'Rebuild everything instead of only what changed since the last build')
   .action(async (vaultPath: string, outputPath: string, options: any) => {
     try {
       // Resolve paths
@@ -81,17 +84,20 @@ program
 
       // Generate the site
       const generator = new SiteGenerator();
-      await generator.generateSite(resolvedVaultPath, resolvedOutputPath, config);
+      await generator.generateSite(resolvedVaultPath, resolvedOutputPath, config, { cache: options.cache });
 
       console.log('');
       console.log('🎉 Success! Your Obsidian vault has been converted to a static site.');
       console.log(`📂 Output: ${resolvedOutputPath}`);
       console.log('');
-      console.log('To serve the site locally, run:');
-      console.log(`   cd ${path.relative(process.cwd(), resolvedOutputPath)}`);
-      console.log(`   npx serve`);
+      console.log('To preview the site locally (with live reload), run:');
+      const serveOptions = [
+        options.config ? ` -c ${options.config}` : '',
+        options.basePath ? ` -b ${options.basePath}` : ''
+      ].join('');
+      console.log(`   obsidianp serve ${vaultPath}${serveOptions}`);
       console.log('');
-      console.log('Then open http://localhost:3000 in your browser.');
+      console.log(`Then open http://localhost:8000${config.basePath || ''}/ in your browser.`);
 
     } catch (error) {
       console.error('❌ Error generating site:', error);
@@ -108,10 +114,9 @@ program
   .option('-b, --base-path <path>', 'Base path for hosting in subfolders (e.g., "/poseidon")')
   .option('-c, --config <config-file>', 'Path to configuration file')
   .option('--no-watch', 'Disable file watching')
+  .option('--no-cache', 'Rebuild everything on each change instead of only what changed')
   .action(async (vaultPath: string, options: any) => {
     try {
-      const { spawn } = await import('child_process');
-
       // Create temporary output directory
       const tmpDir = await fs.mkdtemp(path.join(require('os').tmpdir(), 'obsidianp-'));
 
@@ -162,9 +167,11 @@ program
       const generator = new SiteGenerator();
 
       // Generate site initially
-      await generator.generateSite(resolvedVaultPath, tmpDir, config);
+      await generator.generateSite(resolvedVaultPath, tmpDir, config, { cache: options.cache });
       console.log('✅ Initial generation complete');
 
+      const server = new DevServer(tmpDir, config.basePath);
+
       let isRegenerating = false;
       let debounceTimer: NodeJS.Timeout | null = null;
 
@@ -182,10 +189,19 @@ program
           // Reload config in case it changed
           await loadConfig();
 
-          await generator.generateSite(resolvedVaultPath, tmpDir, config);
+          await generator.generateSite(resolvedVaultPath, tmpDir, config, { cache: options.cache });
           console.log('✅ Regeneration complete');
+
+          // Open pages swap the changed notes in place, or reload when assets or config changed
+          const noteUpdate = generator.getNoteUpdate();
+          if (noteUpdate) {
+            server.notifyNoteUpdate(noteUpdate);
+          } else {
+            server.notifyReload();
+          }
         } catch (error) {
           console.error('❌ Error during regeneration:', error);
+          server.notifyError(error);
         } finally {
           isRegenerating = false;
         }
@@ -238,23 +254,30 @@ program
         }
       }
 
-      console.log(`🌐 Starting server on http://localhost:${options.port}`);
+      const port = parseInt(options.port, 10);
+      try {
+        await server.listen(port);
+      } catch (error: any) {
+        if (error.code === 'EADDRINUSE') {
+          console.error(`❌ Port ${port} is already in use. Choose another one with --port.`);
+        } else {
+          console.error('❌ Error starting server:', error);
+        }
+        await fs.remove(tmpDir).catch(() => { });
+        process.exit(1);
+      }
+
+      console.log(`🌐 Serving on http://localhost:${port}${config.basePath || ''}/`);
       console.log('Press Ctrl+C to stop the server');
       console.log('');
 
-      // Use npx serve
-      const server = spawn('npx', ['serve', '-l', options.port], {
-        cwd: tmpDir,
-        stdio: 'inherit'
-      });
-
       // Cleanup on exit
-      const cleanup = () => {
+      const cleanup = async () => {
         if (debounceTimer) {
           clearTimeout(debounceTimer);
         }
-        server.kill();
-        fs.remove(tmpDir).catch(() => { });
+        await server.close();
+        await fs.remove(tmpDir).catch(() => { });
         console.log('\n👋 Server stopped');
         process.exit(0);
       };
@@ -262,18 +285,83 @@ program
       process.on('SIGINT', cleanup);
       process.on('SIGTERM', cleanup);
 
-      server.on('error', (error: any) => {
-        if (error.code === 'ENOENT') {
-          console.error('❌ Failed to start server. Please ensure you have Node.js installed.');
-          console.error('   You can also manually serve the generated files with any static server.');
+    } catch (error) {
+      console.error('❌ Error:', error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('check')
+  .description('Report broken links, missing embeds and other vault health issues')
+  .argument('<vault-path>', 'Path to the Obsidian vault directory')
+  .option('-c, --config <config-file>', 'Path to configuration file')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .option('--max-errors <count>', 'Number of errors allowed before failing', '0')
+  .option('--max-warnings <count>', 'Number of warnings allowed before failing (unlimited by default)')
+  .action(async (vaultPath: string, options: any) => {
+    const resolvedVaultPath = path.resolve(vaultPath);
+
+    if (!await fs.pathExists(resolvedVaultPath)) {
+      console.error(`❌ Error: Vault directory does not exist: ${resolvedVaultPath}`);
+      process.exit(1);
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(`❌ Error: Unknown format "${options.format}" (expected text or json)`);
+      process.exit(1);
+    }
+
+    for (const [flag, value] of [['--max-errors', options.maxErrors], ['--max-warnings', options.maxWarnings]]) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        console.error(`❌ Error: ${flag} expects a non-negative integer, got "${value}"`);
+        process.exit(1);
+      }
+    }
+    const maxErrors = parseInt(options.maxErrors, 10);
+    const maxWarnings = options.maxWarnings !== undefined ? parseInt(options.maxWarnings, 10) : Infinity;
+
+    // Keep stdout for the JSON report
+    const quiet = options.format === 'json';
+
+    try {
+      let config: SiteConfig = { ...DEFAULT_CONFIG };
+
+      if (options.config) {
+        const configPath = path.resolve(options.config);
+        if (await fs.pathExists(configPath)) {
+          try {
+            const configContent = await fs.readFile(configPath, 'utf-8');
+            const cleanedContent = stripComments(configContent);
+            config = { ...config, ...JSON.parse(cleanedContent) };
+            if (!quiet) {
+              console.log(`📝 Loaded configuration from ${configPath}`);
+            }
+          } catch (error) {
+            console.warn(`⚠️ Warning: Could not load config file: ${configPath}`);
+            console.warn(`   Error: ${error instanceof Error ? error.message : error}`);
+          }
         } else {
-          console.error('❌ Error starting server:', error);
+          console.warn(`⚠️ Warning: Config file not found: ${configPath}`);
         }
-        process.exit(1);
-      });
+      }
+
+      const checker = new VaultChecker({ quiet });
+      const report = await checker.check(resolvedVaultPath, config);
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log('');
+        console.log(checker.formatText(report));
+      }
 
+      // Fail when there are more issues than allowed
+      if (report.errors > maxErrors || report.warnings > maxWarnings) {
+        process.exit(1);
+      }
     } catch (error) {
-      console.error('❌ Error:', error);
+      console.error('❌ Error checking vault:', error);
       process.exit(1);
     }
   });
@@ -293,9 +381,14 @@ program
       console.log('Available options:');
       console.log('  - title: Site title');
       console.log('  - basePath: Base path for hosting in subfolders (e.g., "/poseidon")');
+      console.log('  - description: Site description, for search engines and link previews');
+      console.log('  - siteUrl: Absolute URL of the site, for the sitemap, feeds and canonical URLs (e.g., "https://example.com")');
+      console.log('  - feeds: Atom, RSS and JSON feeds of recent notes, by folder, tag or base');
       console.log('  - theme: Default theme (light, dark, auto)');
+      console.log('  - stackedNotes: Open links in stacked panes next to the current note');
       console.log('  - fonts: Custom font families');
       console.log('  - customization: Theme-aware CSS variables (common, light, dark)');
+      console.log('  - include / exclude: Glob patterns of the vault files to publish');
     } catch (error) {
       console.error('❌ Error creating configuration file:', error);
       process.exit(1);
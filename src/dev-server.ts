@@ -0,0 +1,281 @@
+import http from 'http';
+import fs from 'fs-extra';
+import path from 'path';
+import type { NoteUpdate } from './site-generator';
+
+/**
+ * Dev Server
+ *
+ * Serves a generated site for `obsidianp serve` the way it is hosted once deployed:
+ * under its basePath, with clean URLs (/my-note for my-note.html) and the home page
+ * as fallback for other paths, which the app routes client-side.
+ *
+ * HTML pages get a small client that listens to the server over Server-Sent Events:
+ * after each successful rebuild it updates the notes in place (or reloads the page
+ * when that isn't possible), and it shows an overlay with the error when a rebuild fails.
+ */
+
+// Outside of any basePath, so that it can't clash with a note
+const EVENTS_PATH = '/__obsidianp/events';
+
+const KEEP_ALIVE_INTERVAL = 30000;
+
+const MIME_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.pdf': 'application/pdf',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+const CLIENT_SCRIPT = `<script>
+(() => {
+  const source = new EventSource('${EVENTS_PATH}');
+
+  const showError = (message) => {
+    let overlay = document.getElementById('obsidianp-error-overlay');
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.id = 'obsidianp-error-overlay';
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:100000;overflow:auto;padding:2rem;background:rgba(20,20,20,0.92);color:#f3f3f3;font:14px/1.5 ui-monospace,monospace;';
+      overlay.addEventListener('click', () => overlay.remove());
+      document.body.appendChild(overlay);
+    }
+    overlay.innerHTML = '<h2 style="margin:0 0 1rem;color:#ff6b6b;font:600 18px/1.4 system-ui,sans-serif;">Rebuild failed</h2>'
+      + '<pre style="margin:0;white-space:pre-wrap;"></pre>'
+      + '<p style="margin:1rem 0 0;opacity:0.7;font-family:system-ui,sans-serif;">Fix the error and save: the page updates once the site rebuilds. Click to dismiss.</p>';
+    overlay.querySelector('pre').textContent = message;
+  };
+
+  source.addEventListener('reload', () => window.location.reload());
+  source.addEventListener('note-update', (event) => {
+    document.getElementById('obsidianp-error-overlay')?.remove();
+    // The app swaps the notes in place, unless the page shows something else than a note
+    if (!window.app?.applyNoteUpdate?.(JSON.parse(event.data))) {
+      window.location.reload();
+    }
+  });
+  source.addEventListener('build-error', (event) => showError(JSON.parse(event.data).message));
+})();
+</script>`;
+
+export class DevServer {
+  private outputPath: string;
+  private basePath: string;
+  private server: http.Server;
+  private clients = new Set<http.ServerResponse>();
+  private keepAliveTimer: NodeJS.Timeout | null = null;
+  private lastError: string | null = null;
+
+  constructor(outputPath: string, basePath: string = '') {
+    this.outputPath = path.resolve(outputPath);
+    this.basePath = basePath.replace(/\/+$/, '');
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('❌ Error serving request:', error);
+        if (!res.headersSent) {
+          this.sendText(res, 500, 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening on a port
+   */
+  listen(port: number): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        this.server.off('error', reject);
+        this.keepAliveTimer = setInterval(() => this.broadcastComment('keep-alive'), KEEP_ALIVE_INTERVAL);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Tell open pages that the site was rebuilt
+   */
+  notifyReload(): void {
+    this.lastError = null;
+    this.broadcast('reload', {});
+  }
+
+  /**
+   * Send open pages the notes a rebuild changed, for them to update in place
+   */
+  notifyNoteUpdate(update: NoteUpdate): void {
+    this.lastError = null;
+    this.broadcast('note-update', update);
+  }
+
+  /**
+   * Tell open pages that a rebuild failed, and pages opened until the next rebuild
+   */
+  notifyError(error: unknown): void {
+    this.lastError = error instanceof Error ? (error.stack || error.message) : String(error);
+    this.broadcast('build-error', { message: this.lastError });
+  }
+
+  /**
+   * Stop the server, disconnecting open pages
+   */
+  close(): Promise<void> {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    let pathname: string;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      this.sendText(res, 400, 'Bad request');
+      return;
+    }
+
+    if (pathname === EVENTS_PATH) {
+      this.handleEvents(req, res);
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendText(res, 405, 'Method not allowed');
+      return;
+    }
+
+    // The site only exists under its basePath
+    if (this.basePath) {
+      if (pathname === '/') {
+        res.writeHead(302, { Location: `${this.basePath}/` });
+        res.end();
+        return;
+      }
+      if (pathname !== this.basePath && !pathname.startsWith(`${this.basePath}/`)) {
+        this.sendText(res, 404, `Not found (the site is served under ${this.basePath}/)`);
+        return;
+      }
+      pathname = pathname.substring(this.basePath.length) || '/';
+    }
+
+    const filePath = await this.resolveFile(pathname);
+    if (!filePath) {
+      this.sendText(res, 404, 'Not found');
+      return;
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    let content = await fs.readFile(filePath);
+
+    if (extension === '.html') {
+      content = Buffer.from(this.injectClient(content.toString('utf-8')));
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+      'Content-Length': content.length,
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  }
+
+  /**
+   * Find the file for a request path: the file itself, its clean URL (.html) or
+   * folder index, else the home page for paths without an extension (app routes)
+   */
+  private async resolveFile(pathname: string): Promise<string | null> {
+    const filePath = path.join(this.outputPath, path.normalize(pathname));
+    if (filePath !== this.outputPath && !filePath.startsWith(this.outputPath + path.sep)) {
+      return null;
+    }
+
+    const candidates = [filePath, `${filePath}.html`, path.join(filePath, 'index.html')];
+    if (!path.extname(pathname)) {
+      candidates.push(path.join(this.outputPath, 'index.html'));
+    }
+
+    for (const candidate of candidates) {
+      const stats = await fs.stat(candidate).catch(() => null);
+      if (stats?.isFile()) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep an event stream open for a page
+   */
+  private handleEvents(req: http.IncomingMessage, res: http.ServerResponse): void {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+
+    // A page opened after a failed rebuild shows the error right away
+    if (this.lastError) {
+      this.send(res, 'build-error', { message: this.lastError });
+    }
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  private broadcast(event: string, data: object): void {
+    this.clients.forEach(client => this.send(client, event, data));
+  }
+
+  private broadcastComment(comment: string): void {
+    this.clients.forEach(client => client.write(`: ${comment}\n\n`));
+  }
+
+  private send(client: http.ServerResponse, event: string, data: object): void {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Add the live reload client to an HTML page
+   */
+  private injectClient(html: string): string {
+    const index = html.lastIndexOf('</body>');
+    return index === -1
+      ? html + CLIENT_SCRIPT
+      : html.substring(0, index) + CLIENT_SCRIPT + '\n' + html.substring(index);
+  }
+
+  private sendText(res: http.ServerResponse, status: number, text: string): void {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.end(text);
+  }
+}
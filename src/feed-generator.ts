@@ -0,0 +1,251 @@
+import { TagProcessor } from './tag-processor';
+import { SeoProcessor } from './seo-processor';
+import { toAbsoluteUrl } from './site-url';
+import { FeedConfig, Note, SiteConfig, VaultStructure } from './types';
+
+/**
+ * Feed Generator
+ *
+ * Builds Atom, RSS 2.0 and JSON Feed files of the most recent notes, selected by
+ * folder, tag or base. Entries are dated by their `published` or `created` frontmatter
+ * (else the file modification time) and carry the note HTML, with its links made
+ * absolute, or a summary.
+ */
+
+const DEFAULT_LIMIT = 20;
+
+interface FeedEntry {
+  note: Note;
+  url: string;
+  date: Date;
+}
+
+export class FeedGenerator {
+  private siteUrl: string;
+  private config: SiteConfig;
+  private tagProcessor: TagProcessor;
+  private seoProcessor: SeoProcessor;
+
+  /**
+   * @param siteUrl Absolute URL of the site root, including the basePath (e.g. "https://example.com/docs")
+   */
+  constructor(siteUrl: string, config: SiteConfig) {
+    this.siteUrl = siteUrl;
+    this.config = config;
+    this.tagProcessor = new TagProcessor(config.basePath || '');
+    this.seoProcessor = new SeoProcessor(config);
+  }
+
+  /**
+   * Output files of a feed, relative to the output directory
+   */
+  getFeedFiles(feed: FeedConfig): { atom: string; rss: string; json: string } {
+    const name = feed.name.replace(/[^\w.-]+/g, '-');
+    return {
+      atom: `feeds/${name}.atom.xml`,
+      rss: `feeds/${name}.rss.xml`,
+      json: `feeds/${name}.json`
+    };
+  }
+
+  /**
+   * <link rel="alternate"> tags advertising the feeds, for the <head> of every page
+   */
+  getHeadLinks(feeds: FeedConfig[]): string {
+    return feeds.map(feed => {
+      const files = this.getFeedFiles(feed);
+      const title = this.escapeXml(this.getTitle(feed));
+      return [
+        `<link rel="alternate" type="application/atom+xml" title="${title}" href="${this.siteUrl}/${files.atom}">`,
+        `<link rel="alternate" type="application/rss+xml" title="${title}" href="${this.siteUrl}/${files.rss}">`,
+        `<link rel="alternate" type="application/feed+json" title="${title}" href="${this.siteUrl}/${files.json}">`
+      ].join('\n    ');
+    }).join('\n    ');
+  }
+
+  /**
+   * Generate the Atom, RSS and JSON Feed documents of a feed, keyed by output file
+   */
+  generateFeed(feed: FeedConfig, vaultStructure: VaultStructure): Map<string, string> {
+    const entries = this.selectNotes(feed, vaultStructure)
+      .map(note => ({
+        note,
+        url: `${this.siteUrl}/${encodeURI(note.id)}`,
+        date: this.tagProcessor.getNoteDate(note) || new Date(0)
+      }))
+      .sort((a, b) => b.date.getTime() - a.date.getTime() || a.note.title.localeCompare(b.note.title))
+      .slice(0, feed.limit ?? DEFAULT_LIMIT);
+
+    const files = this.getFeedFiles(feed);
+    return new Map([
+      [files.atom, this.generateAtom(feed, entries, `${this.siteUrl}/${files.atom}`)],
+      [files.rss, this.generateRss(feed, entries, `${this.siteUrl}/${files.rss}`)],
+      [files.json, this.generateJsonFeed(feed, entries, `${this.siteUrl}/${files.json}`)]
+    ]);
+  }
+
+  /**
+   * Notes matching all of the feed's folder, tag and base criteria
+   */
+  private selectNotes(feed: FeedConfig, vaultStructure: VaultStructure): Note[] {
+    let notes = Array.from(vaultStructure.notes.values());
+
+    if (feed.folder) {
+      const folder = feed.folder.replace(/^\/+|\/+$/g, '');
+      notes = notes.filter(note => note.folderPath === folder || note.folderPath.startsWith(`${folder}/`));
+    }
+
+    if (feed.tag) {
+      const tag = feed.tag.replace(/^#/, '').toLowerCase();
+      notes = notes.filter(note => note.tags.some(noteTag => {
+        const normalized = noteTag.toLowerCase();
+        return normalized === tag || normalized.startsWith(`${tag}/`);
+      }));
+    }
+
+    if (feed.base) {
+      const base = vaultStructure.linkResolver.resolveBase(feed.base);
+      if (!base) {
+        console.warn(`⚠️  Feed "${feed.name}": base "${feed.base}" not found`);
+        return [];
+      }
+      const matchedIds = new Set((base.matchedNotes || []).map(note => note.id));
+      notes = notes.filter(note => matchedIds.has(note.id));
+    }
+
+    return notes;
+  }
+
+  private generateAtom(feed: FeedConfig, entries: FeedEntry[], feedUrl: string): string {
+    const updated = (entries[0]?.date || new Date(0)).toISOString();
+
+    const entriesXml = entries.map(entry => {
+      const authors = this.seoProcessor.getAuthors(entry.note)
+        .map(author => `\n    <author><name>${this.escapeXml(author)}</name></author>`).join('');
+      const categories = entry.note.tags
+        .map(tag => `\n    <category term="${this.escapeXml(tag)}"/>`).join('');
+      const content = feed.content === 'summary'
+        ? `<summary type="text">${this.escapeXml(this.getSummary(entry.note))}</summary>`
+        : `<content type="html">${this.escapeXml(this.getContentHtml(entry))}</content>`;
+
+      return `  <entry>
+    <title>${this.escapeXml(entry.note.title)}</title>
+    <link href="${this.escapeXml(entry.url)}"/>
+    <id>${this.escapeXml(entry.url)}</id>
+    <published>${entry.date.toISOString()}</published>
+    <updated>${entry.date.toISOString()}</updated>${authors}${categories}
+    ${content}
+  </entry>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${this.escapeXml(this.getTitle(feed))}</title>`,
+      ...(feed.description ? [`  <subtitle>${this.escapeXml(feed.description)}</subtitle>`] : []),
+      `  <link href="${this.escapeXml(feedUrl)}" rel="self"/>`,
+      `  <link href="${this.escapeXml(this.siteUrl)}/"/>`,
+      `  <id>${this.escapeXml(feedUrl)}</id>`,
+      `  <updated>${updated}</updated>`,
+      `  <author><name>${this.escapeXml(this.config.title)}</name></author>`,
+      ...entriesXml,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  private generateRss(feed: FeedConfig, entries: FeedEntry[], feedUrl: string): string {
+    const itemsXml = entries.map(entry => {
+      const categories = entry.note.tags
+        .map(tag => `\n      <category>${this.escapeXml(tag)}</category>`).join('');
+      const description = feed.content === 'summary'
+        ? this.getSummary(entry.note)
+        : this.getContentHtml(entry);
+
+      return `    <item>
+      <title>${this.escapeXml(entry.note.title)}</title>
+      <link>${this.escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${this.escapeXml(entry.url)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>${categories}
+      <description>${this.escapeXml(description)}</description>
+    </item>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${this.escapeXml(this.getTitle(feed))}</title>`,
+      `    <link>${this.escapeXml(this.siteUrl)}/</link>`,
+      `    <description>${this.escapeXml(feed.description || this.getTitle(feed))}</description>`,
+      `    <atom:link href="${this.escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+      ...(entries.length > 0 ? [`    <lastBuildDate>${entries[0].date.toUTCString()}</lastBuildDate>`] : []),
+      ...itemsXml,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  private generateJsonFeed(feed: FeedConfig, entries: FeedEntry[], feedUrl: string): string {
+    const items = entries.map(entry => {
+      const authors = this.seoProcessor.getAuthors(entry.note).map(name => ({ name }));
+      return {
+        id: entry.url,
+        url: entry.url,
+        title: entry.note.title,
+        ...(feed.content === 'summary'
+          ? { summary: this.getSummary(entry.note), content_text: this.getSummary(entry.note) }
+          : { content_html: this.getContentHtml(entry) }),
+        date_published: entry.date.toISOString(),
+        ...(authors.length > 0 ? { authors } : {}),
+        ...(entry.note.tags.length > 0 ? { tags: entry.note.tags } : {})
+      };
+    });
+
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: this.getTitle(feed),
+      home_page_url: `${this.siteUrl}/`,
+      feed_url: feedUrl,
+      ...(feed.description ? { description: feed.description } : {}),
+      authors: [{ name: this.config.title }],
+      items
+    }, null, 2);
+  }
+
+  private getTitle(feed: FeedConfig): string {
+    return feed.title || this.config.title;
+  }
+
+  /**
+   * The `description` frontmatter, else a plain-text excerpt of the note
+   */
+  private getSummary(note: Note): string {
+    const description = note.frontMatter.description;
+    return typeof description === 'string' && description.trim()
+      ? description.trim()
+      : this.tagProcessor.getExcerpt(note, 300);
+  }
+
+  /**
+   * The note HTML, with its links and images made absolute for feed readers
+   */
+  private getContentHtml(entry: FeedEntry): string {
+    return entry.note.html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, url) =>
+      `${attribute}="${toAbsoluteUrl(url, this.siteUrl, this.config, entry.url)}"`
+    );
+  }
+
+  /**
+   * Escape XML special characters
+   */
+  private escapeXml(text: string): string {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
@@ -0,0 +1,981 @@
+import { Note } from './types';
+
+/**
+ * Formula Engine
+ *
+ * Parses and evaluates the formulas of Obsidian Bases (the `formulas` of .base files). A formula
+ * is parsed once into a syntax tree, which is then evaluated against each note. Evaluation only
+ * goes through the operators, functions and methods defined here, so a base can't run code.
+ *
+ * The language:
+ * - literals: numbers, 'strings' or "strings", true, false, null and [lists];
+ * - operators: + - * / %, == != > < >= <=, && || !, with the usual precedence;
+ * - note properties by name (`price`), or as `note.price` and `note["unit price"]`, the
+ *   file properties (`file.name`, `file.mtime`, ...) and other formulas (`formula.total`);
+ * - functions: if(), now(), today(), date(), duration(), number(), link(), list(), min() and max();
+ * - methods of strings, numbers, dates, lists, links and files (`title.lower()`, `file.hasTag("x")`),
+ *   with `value` and `index` bound in the expressions given to list.map() and list.filter().
+ *
+ * Dates can be shifted by durations (`date + "1 week"`, `now() - duration("2d")`), and subtracting
+ * two dates gives the number of milliseconds between them. Dates are in UTC, as YAML dates are:
+ * `2024-01-31` is UTC midnight whether it comes from a property or from date("2024-01-31").
+ */
+
+/**
+ * An error in a formula, reported in the cells it occurs in
+ */
+export class FormulaError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+// A span of time: calendar months (and years) and a fixed number of milliseconds (days and less)
+export class Duration {
+  constructor(readonly months: number, readonly milliseconds: number) {}
+
+  negate(): Duration {
+    return new Duration(-this.months, -this.milliseconds);
+  }
+
+  toString(): string {
+    const parts: string[] = [];
+    let months = Math.abs(this.months);
+    let rest = Math.abs(this.milliseconds);
+    const add = (count: number, unit: string) => {
+      if (count > 0) parts.push(`${count} ${unit}${count === 1 ? '' : 's'}`);
+    };
+
+    add(Math.floor(months / 12), 'year');
+    months %= 12;
+    add(months, 'month');
+    for (const [unit, size] of [['day', DAY], ['hour', HOUR], ['minute', MINUTE], ['second', SECOND]] as const) {
+      add(Math.floor(rest / size), unit);
+      rest %= size;
+    }
+
+    const sign = this.months < 0 || this.milliseconds < 0 ? '-' : '';
+    return parts.length > 0 ? sign + parts.join(' ') : '0 seconds';
+  }
+}
+
+// A link to a note, as made by link() or found in a note
+export class Link {
+  constructor(readonly path: string, readonly display?: string) {}
+
+  toString(): string {
+    return this.display || this.path;
+  }
+}
+
+// The file of the note a formula is evaluated for (`file`)
+class FileValue {
+  constructor(readonly note: Note) {}
+}
+
+// The properties of a note (`note`)
+class Properties {
+  constructor(readonly values: Record<string, unknown>) {}
+}
+
+// The other formulas of the base (`formula`)
+class Formulas {}
+
+type Node =
+  | { type: 'literal'; value: unknown }
+  | { type: 'identifier'; name: string }
+  | { type: 'member'; object: Node; property: string }
+  | { type: 'index'; object: Node; index: Node }
+  | { type: 'call'; callee: Node; args: Node[] }
+  | { type: 'unary'; operator: string; argument: Node }
+  | { type: 'binary'; operator: string; left: Node; right: Node }
+  | { type: 'list'; items: Node[] };
+
+type Token =
+  | { type: 'number'; value: number; position: number }
+  | { type: 'string'; value: string; position: number }
+  | { type: 'identifier'; value: string; position: number }
+  | { type: 'punctuation'; value: string; position: number }
+  | { type: 'end'; value: ''; position: number };
+
+interface Scope {
+  note: Note;
+  file: FileValue;
+  properties: Properties;
+  formula: (name: string) => unknown;
+  locals: Map<string, unknown>;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Duration units: [months, milliseconds]. Single letters are case-sensitive (M is a month, m a minute)
+const DURATION_UNITS: Record<string, [number, number]> = {
+  y: [12, 0], yr: [12, 0], yrs: [12, 0], year: [12, 0], years: [12, 0],
+  M: [1, 0], month: [1, 0], months: [1, 0],
+  w: [0, 7 * DAY], week: [0, 7 * DAY], weeks: [0, 7 * DAY],
+  d: [0, DAY], day: [0, DAY], days: [0, DAY],
+  h: [0, HOUR], hr: [0, HOUR], hrs: [0, HOUR], hour: [0, HOUR], hours: [0, HOUR],
+  m: [0, MINUTE], min: [0, MINUTE], mins: [0, MINUTE], minute: [0, MINUTE], minutes: [0, MINUTE],
+  s: [0, SECOND], sec: [0, SECOND], secs: [0, SECOND], second: [0, SECOND], seconds: [0, SECOND]
+};
+
+// Binary operators by precedence, loosest first
+const BINARY_PRECEDENCE: string[][] = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '>', '<=', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const PUNCTUATION = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', '[', ']', ',', '.'];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MAX_REPEAT_LENGTH = 100000;
+
+export class FormulaEngine {
+  private parsed = new Map<string, Node>();
+
+  /**
+   * Parse a formula into a syntax tree (cached). Throws a FormulaError on syntax errors.
+   */
+  private parse(formula: string): Node {
+    let node = this.parsed.get(formula);
+    if (!node) {
+      node = new Parser(formula).parse();
+      this.parsed.set(formula, node);
+    }
+    return node;
+  }
+
+  /**
+   * Evaluate the formulas of a base for a note. Formulas can use each other; every formula
+   * gets its value, or the FormulaError it failed with.
+   */
+  evaluateAll(formulas: Record<string, string>, note: Note): Map<string, unknown | FormulaError> {
+    const results = new Map<string, unknown | FormulaError>();
+    const evaluating = new Set<string>();
+
+    const evaluateFormula = (name: string): unknown => {
+      if (!Object.prototype.hasOwnProperty.call(formulas, name)) {
+        throw new FormulaError(`Unknown formula "${name}"`);
+      }
+      if (!results.has(name)) {
+        if (evaluating.has(name)) {
+          throw new FormulaError(`Circular reference to formula "${name}"`);
+        }
+        evaluating.add(name);
+        try {
+          results.set(name, this.evaluateNode(this.parse(formulas[name]), scope));
+        } catch (error) {
+          results.set(name, this.toFormulaError(error));
+        } finally {
+          evaluating.delete(name);
+        }
+      }
+
+      const result = results.get(name);
+      if (result instanceof FormulaError) {
+        throw new FormulaError(`Formula "${name}" failed: ${result.message}`);
+      }
+      return result;
+    };
+
+    const scope: Scope = {
+      note,
+      file: new FileValue(note),
+      properties: new Properties(note.frontMatter),
+      formula: evaluateFormula,
+      locals: new Map()
+    };
+
+    Object.keys(formulas).forEach(name => {
+      try {
+        evaluateFormula(name);
+      } catch {
+        // Recorded in the results
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Convert an evaluated value for display and serialization: dates, durations, links and
+   * files become strings
+   */
+  toOutput(value: unknown): unknown {
+    if (value instanceof Date) {
+      const hasTime = value.getUTCHours() !== 0 || value.getUTCMinutes() !== 0 || value.getUTCSeconds() !== 0;
+      return this.formatDate(value, hasTime ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD');
+    }
+    if (value instanceof Duration || value instanceof Link) {
+      return value.toString();
+    }
+    if (value instanceof FileValue) {
+      return value.note.title;
+    }
+    if (value instanceof Properties || value instanceof Formulas) {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.toOutput(item));
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new FormulaError('Result is not a finite number');
+    }
+    return value === undefined ? null : value;
+  }
+
+  private toFormulaError(error: unknown): FormulaError {
+    if (error instanceof FormulaError) return error;
+    if (error instanceof RangeError) return new FormulaError('Formula too deeply nested, or result too large');
+    return new FormulaError(error instanceof Error ? error.message : String(error));
+  }
+
+  private evaluateNode(node: Node, scope: Scope): unknown {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'list':
+        return node.items.map(item => this.evaluateNode(item, scope));
+
+      case 'identifier':
+        return this.resolveIdentifier(node.name, scope);
+
+      case 'member':
+        return this.getMember(this.evaluateNode(node.object, scope), node.property, scope);
+
+      case 'index': {
+        const object = this.evaluateNode(node.object, scope);
+        const index = this.evaluateNode(node.index, scope);
+        if (Array.isArray(object) || typeof object === 'string') {
+          const position = this.expectNumber(index, 'List index');
+          const item = object[position < 0 ? object.length + position : position];
+          return item === undefined ? null : item;
+        }
+        return this.getMember(object, this.expectString(index, 'Property name'), scope);
+      }
+
+      case 'call':
+        return this.evaluateCall(node.callee, node.args, scope);
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, scope);
+        if (node.operator === '!') return !this.isTruthy(value);
+        if (value === null) return null;
+        if (value instanceof Duration) return value.negate();
+        return -this.expectNumber(value, 'Operand of -');
+      }
+
+      case 'binary':
+        if (node.operator === '&&') {
+          return this.isTruthy(this.evaluateNode(node.left, scope)) && this.isTruthy(this.evaluateNode(node.right, scope));
+        }
+        if (node.operator === '||') {
+          return this.isTruthy(this.evaluateNode(node.left, scope)) || this.isTruthy(this.evaluateNode(node.right, scope));
+        }
+        return this.applyOperator(node.operator, this.evaluateNode(node.left, scope), this.evaluateNode(node.right, scope));
+    }
+  }
+
+  private resolveIdentifier(name: string, scope: Scope): unknown {
+    if (scope.locals.has(name)) return scope.locals.get(name);
+
+    switch (name) {
+      case 'file':
+        return scope.file;
+      case 'note':
+        return scope.properties;
+      case 'formula':
+        return new Formulas();
+      default:
+        return this.getProperty(scope.properties.values, name);
+    }
+  }
+
+  // An own property of an object, so that formulas can't reach prototypes
+  private getProperty(values: Record<string, unknown>, name: string): unknown {
+    if (!Object.prototype.hasOwnProperty.call(values, name) || name === 'computed') return null;
+    const value = values[name];
+    return value === undefined ? null : value;
+  }
+
+  private getMember(object: unknown, property: string, scope: Scope): unknown {
+    if (object instanceof Formulas) return scope.formula(property);
+    if (object instanceof Properties) return this.getProperty(object.values, property);
+    if (object instanceof FileValue) return this.getFileProperty(object.note, property);
+
+    if (object instanceof Date) {
+      switch (property) {
+        case 'year': return object.getUTCFullYear();
+        case 'month': return object.getUTCMonth() + 1;
+        case 'day': return object.getUTCDate();
+        case 'hour': return object.getUTCHours();
+        case 'minute': return object.getUTCMinutes();
+        case 'second': return object.getUTCSeconds();
+        case 'millisecond': return object.getUTCMilliseconds();
+      }
+    }
+    if (object instanceof Duration) {
+      switch (property) {
+        case 'months': return object.months;
+        case 'days': return object.milliseconds / DAY;
+        case 'hours': return object.milliseconds / HOUR;
+        case 'minutes': return object.milliseconds / MINUTE;
+        case 'seconds': return object.milliseconds / SECOND;
+        case 'milliseconds': return object.milliseconds;
+      }
+    }
+    if ((typeof object === 'string' || Array.isArray(object)) && property === 'length') {
+      return object.length;
+    }
+    if (object === null) {
+      return null;
+    }
+    if (this.isPlainObject(object)) {
+      return this.getProperty(object, property);
+    }
+
+    throw new FormulaError(`${this.typeOf(object)} has no property "${property}"`);
+  }
+
+  private getFileProperty(note: Note, property: string): unknown {
+    const fileName = note.relativePath.split('/').pop() || '';
+    switch (property) {
+      case 'name': return fileName;
+      case 'basename': return fileName.replace(/\.[^.]*$/, '');
+      case 'path': return note.relativePath;
+      case 'folder': return note.folderPath;
+      case 'ext': return fileName.includes('.') ? fileName.split('.').pop() : '';
+      case 'size': return note.fileStats ? note.fileStats.size : null;
+      case 'ctime': return note.fileStats ? new Date(note.fileStats.ctime) : null;
+      case 'mtime': return note.fileStats ? new Date(note.fileStats.mtime) : null;
+      case 'tags': return note.tags.slice();
+      case 'links': return note.links.map(linkText => new Link(linkText));
+      case 'properties': return new Properties(note.frontMatter);
+      default: throw new FormulaError(`file has no property "${property}"`);
+    }
+  }
+
+  private evaluateCall(callee: Node, argNodes: Node[], scope: Scope): unknown {
+    if (callee.type === 'identifier' && !scope.locals.has(callee.name)) {
+      return this.callFunction(callee.name, argNodes, scope);
+    }
+    if (callee.type === 'member') {
+      const object = this.evaluateNode(callee.object, scope);
+      if (Array.isArray(object) && (callee.property === 'map' || callee.property === 'filter')) {
+        return this.mapList(object, callee.property, argNodes, scope);
+      }
+      const args = argNodes.map(arg => this.evaluateNode(arg, scope));
+      return this.callMethod(object, callee.property, args);
+    }
+    throw new FormulaError('Only functions and methods can be called');
+  }
+
+  private callFunction(name: string, argNodes: Node[], scope: Scope): unknown {
+    // if() only evaluates the branch it takes
+    if (name === 'if') {
+      this.expectArguments(name, argNodes, 2, 3);
+      const condition = this.isTruthy(this.evaluateNode(argNodes[0], scope));
+      if (condition) return this.evaluateNode(argNodes[1], scope);
+      return argNodes[2] ? this.evaluateNode(argNodes[2], scope) : null;
+    }
+
+    const args = argNodes.map(arg => this.evaluateNode(arg, scope));
+    switch (name) {
+      case 'now':
+        this.expectArguments(name, args, 0, 0);
+        return new Date();
+
+      case 'today': {
+        this.expectArguments(name, args, 0, 0);
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        return today;
+      }
+
+      case 'date':
+        this.expectArguments(name, args, 1, 1);
+        return this.toDate(args[0]);
+
+      case 'duration':
+        this.expectArguments(name, args, 1, 1);
+        return this.toDuration(args[0]);
+
+      case 'number':
+        this.expectArguments(name, args, 1, 1);
+        return this.toNumber(args[0]);
+
+      case 'link':
+        this.expectArguments(name, args, 1, 2);
+        if (args[0] instanceof Link) return args[1] === undefined ? args[0] : new Link(args[0].path, this.toText(args[1]));
+        if (args[0] instanceof FileValue) return new Link(args[0].note.relativePath.replace(/\.md$/, ''), args[1] === undefined ? undefined : this.toText(args[1]));
+        return new Link(this.expectString(args[0], 'Link path'), args[1] === undefined ? undefined : this.toText(args[1]));
+
+      case 'list':
+        this.expectArguments(name, args, 1, 1);
+        return Array.isArray(args[0]) ? args[0] : [args[0]];
+
+      case 'min':
+      case 'max': {
+        const numbers = args.flat().filter(arg => arg !== null).map(arg => this.expectNumber(arg, `Argument of ${name}()`));
+        if (numbers.length === 0) return null;
+        return name === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+      }
+
+      default:
+        throw new FormulaError(`Unknown function ${name}()`);
+    }
+  }
+
+  private mapList(list: unknown[], method: 'map' | 'filter', argNodes: Node[], scope: Scope): unknown[] {
+    this.expectArguments(method, argNodes, 1, 1);
+    const results: unknown[] = [];
+    const locals = new Map(scope.locals);
+    const itemScope = { ...scope, locals };
+
+    list.forEach((value, index) => {
+      locals.set('value', value);
+      locals.set('index', index);
+      const result = this.evaluateNode(argNodes[0], itemScope);
+      if (method === 'map') {
+        results.push(result);
+      } else if (this.isTruthy(result)) {
+        results.push(value);
+      }
+    });
+    return results;
+  }
+
+  private callMethod(object: unknown, method: string, args: unknown[]): unknown {
+    // Methods of any value
+    switch (method) {
+      case 'isEmpty':
+        return object === null || object === '' ||
+          (Array.isArray(object) && object.length === 0) ||
+          (this.isPlainObject(object) && Object.keys(object).length === 0);
+      case 'isTruthy':
+        return this.isTruthy(object);
+      case 'isType':
+        return this.typeOf(object) === this.expectString(args[0], 'Type name').toLowerCase();
+      case 'toString':
+        return this.toText(object);
+    }
+
+    if (typeof object === 'string') return this.callStringMethod(object, method, args);
+    if (typeof object === 'number') return this.callNumberMethod(object, method, args);
+    if (object instanceof Date) return this.callDateMethod(object, method, args);
+    if (Array.isArray(object)) return this.callListMethod(object, method, args);
+    if (object instanceof FileValue) return this.callFileMethod(object.note, method, args);
+    if (object === null) return null;
+
+    throw new FormulaError(`${this.typeOf(object)} has no method ${method}()`);
+  }
+
+  private callStringMethod(text: string, method: string, args: unknown[]): unknown {
+    const strings = () => args.map(arg => this.toText(arg));
+    switch (method) {
+      case 'contains': return text.includes(this.toText(args[0]));
+      case 'containsAll': return strings().every(part => text.includes(part));
+      case 'containsAny': return strings().some(part => text.includes(part));
+      case 'startsWith': return text.startsWith(this.toText(args[0]));
+      case 'endsWith': return text.endsWith(this.toText(args[0]));
+      case 'lower': return text.toLowerCase();
+      case 'upper': return text.toUpperCase();
+      case 'title': return text.replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+      case 'trim': return text.trim();
+      case 'replace': return text.split(this.toText(args[0])).join(this.toText(args[1]));
+      case 'repeat': {
+        const count = this.expectNumber(args[0], 'Repeat count');
+        if (count < 0 || text.length * count > MAX_REPEAT_LENGTH) {
+          throw new FormulaError('Invalid repeat count');
+        }
+        return text.repeat(count);
+      }
+      case 'reverse': return Array.from(text).reverse().join('');
+      case 'slice': return text.slice(this.expectNumber(args[0], 'Start'), args[1] === undefined ? undefined : this.expectNumber(args[1], 'End'));
+      case 'split': {
+        const parts = text.split(this.toText(args[0]));
+        return args[1] === undefined ? parts : parts.slice(0, this.expectNumber(args[1], 'Limit'));
+      }
+      default: throw new FormulaError(`String has no method ${method}()`);
+    }
+  }
+
+  private callNumberMethod(value: number, method: string, args: unknown[]): unknown {
+    switch (method) {
+      case 'abs': return Math.abs(value);
+      case 'ceil': return Math.ceil(value);
+      case 'floor': return Math.floor(value);
+      case 'round': {
+        const digits = args[0] === undefined ? 0 : this.expectNumber(args[0], 'Digits');
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+      }
+      case 'toFixed': {
+        const digits = this.expectNumber(args[0], 'Digits');
+        if (digits < 0 || digits > 100) throw new FormulaError('Invalid number of digits');
+        return value.toFixed(digits);
+      }
+      default: throw new FormulaError(`Number has no method ${method}()`);
+    }
+  }
+
+  private callDateMethod(date: Date, method: string, args: unknown[]): unknown {
+    switch (method) {
+      case 'date': {
+        const day = new Date(date);
+        day.setUTCHours(0, 0, 0, 0);
+        return day;
+      }
+      case 'time': return this.formatDate(date, 'HH:mm:ss');
+      case 'format': return this.formatDate(date, this.expectString(args[0], 'Date format'));
+      case 'relative': return this.formatRelative(date);
+      default: throw new FormulaError(`Date has no method ${method}()`);
+    }
+  }
+
+  private callListMethod(list: unknown[], method: string, args: unknown[]): unknown {
+    const includes = (value: unknown) => list.some(item => this.equals(item, value));
+    switch (method) {
+      case 'contains': return includes(args[0]);
+      case 'containsAll': return args.every(includes);
+      case 'containsAny': return args.some(includes);
+      case 'join': return list.map(item => this.toText(item)).join(args[0] === undefined ? ', ' : this.toText(args[0]));
+      case 'reverse': return list.slice().reverse();
+      case 'sort': return list.slice().sort((a, b) => this.compare(a, b));
+      case 'unique': return list.filter((item, index) => list.findIndex(other => this.equals(other, item)) === index);
+      case 'flat': return list.flat();
+      case 'slice': return list.slice(this.expectNumber(args[0], 'Start'), args[1] === undefined ? undefined : this.expectNumber(args[1], 'End'));
+      default: throw new FormulaError(`List has no method ${method}()`);
+    }
+  }
+
+  private callFileMethod(note: Note, method: string, args: unknown[]): unknown {
+    switch (method) {
+      case 'hasTag':
+        return args.some(arg => {
+          const tag = this.toText(arg).replace(/^#/, '').toLowerCase();
+          return note.tags.some(noteTag => noteTag.toLowerCase() === tag || noteTag.toLowerCase().startsWith(`${tag}/`));
+        });
+      case 'hasLink': {
+        const target = args[0] instanceof FileValue ? args[0].note.title : this.toText(args[0] instanceof Link ? args[0].path : args[0]);
+        const name = (path: string) => path.split('#')[0].split('/').pop()!.replace(/\.md$/, '').toLowerCase();
+        return note.links.some(linkText => name(linkText) === name(target));
+      }
+      case 'inFolder': {
+        const folder = this.toText(args[0]).replace(/^\/+|\/+$/g, '');
+        return folder === '' || note.folderPath === folder || note.folderPath.startsWith(`${folder}/`);
+      }
+      case 'hasProperty':
+        return Object.prototype.hasOwnProperty.call(note.frontMatter, this.toText(args[0]));
+      case 'asLink':
+        return new Link(note.relativePath.replace(/\.md$/, ''), args[0] === undefined ? note.title : this.toText(args[0]));
+      default:
+        throw new FormulaError(`file has no method ${method}()`);
+    }
+  }
+
+  private applyOperator(operator: string, left: unknown, right: unknown): unknown {
+    switch (operator) {
+      case '==': return this.equals(left, right);
+      case '!=': return !this.equals(left, right);
+      case '<': return left !== null && right !== null && this.compare(left, right) < 0;
+      case '>': return left !== null && right !== null && this.compare(left, right) > 0;
+      case '<=': return left !== null && right !== null && this.compare(left, right) <= 0;
+      case '>=': return left !== null && right !== null && this.compare(left, right) >= 0;
+    }
+
+    // Arithmetic on missing properties gives an empty cell
+    if (left === null || right === null) return null;
+
+    if (operator === '+') {
+      if (typeof left === 'number' && typeof right === 'number') return left + right;
+      if (left instanceof Date && (right instanceof Duration || typeof right === 'string')) return this.addDuration(left, this.toDuration(right));
+      if (left instanceof Duration && right instanceof Date) return this.addDuration(right, left);
+      if (left instanceof Duration && right instanceof Duration) return new Duration(left.months + right.months, left.milliseconds + right.milliseconds);
+      if (Array.isArray(left) && Array.isArray(right)) return left.concat(right);
+      if (typeof left === 'string' || typeof right === 'string') return this.toText(left) + this.toText(right);
+    } else if (operator === '-') {
+      if (typeof left === 'number' && typeof right === 'number') return left - right;
+      if (left instanceof Date && right instanceof Date) return left.getTime() - right.getTime();
+      if (left instanceof Date && (right instanceof Duration || typeof right === 'string')) return this.addDuration(left, this.toDuration(right).negate());
+      if (left instanceof Duration && right instanceof Duration) return new Duration(left.months - right.months, left.milliseconds - right.milliseconds);
+    } else if (typeof left === 'number' && typeof right === 'number') {
+      if (operator === '*') return left * right;
+      if (right === 0) throw new FormulaError('Division by zero');
+      return operator === '/' ? left / right : left % right;
+    }
+
+    throw new FormulaError(`Cannot apply ${operator} to ${this.typeOf(left)} and ${this.typeOf(right)}`);
+  }
+
+  private addDuration(date: Date, duration: Duration): Date {
+    const result = new Date(date);
+    if (duration.months !== 0) {
+      // Months are added to the calendar, staying on the last day for shorter months (Jan 31 + 1M = Feb 28)
+      const day = result.getUTCDate();
+      result.setUTCDate(1);
+      result.setUTCMonth(result.getUTCMonth() + duration.months);
+      const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+      result.setUTCDate(Math.min(day, lastDay));
+    }
+    result.setTime(result.getTime() + duration.milliseconds);
+    return result;
+  }
+
+  private equals(left: unknown, right: unknown): boolean {
+    if (left instanceof Date && right instanceof Date) return left.getTime() === right.getTime();
+    if (left instanceof Link && right instanceof Link) return left.path === right.path;
+    if (Array.isArray(left) && Array.isArray(right)) {
+      return left.length === right.length && left.every((item, index) => this.equals(item, right[index]));
+    }
+    return left === right;
+  }
+
+  private compare(left: unknown, right: unknown): number {
+    if (typeof left === 'number' && typeof right === 'number') return left - right;
+    if (left instanceof Date && right instanceof Date) return left.getTime() - right.getTime();
+    if (typeof left === 'string' && typeof right === 'string') return left < right ? -1 : left > right ? 1 : 0;
+    if (typeof left === 'boolean' && typeof right === 'boolean') return Number(left) - Number(right);
+    throw new FormulaError(`Cannot compare ${this.typeOf(left)} and ${this.typeOf(right)}`);
+  }
+
+  private isTruthy(value: unknown): boolean {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+  }
+
+  private isPlainObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  private typeOf(value: unknown): string {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return 'date';
+    if (value instanceof Duration) return 'duration';
+    if (value instanceof Link) return 'link';
+    if (value instanceof FileValue) return 'file';
+    if (Array.isArray(value)) return 'list';
+    if (typeof value === 'object') return 'object';
+    return typeof value;
+  }
+
+  private toText(value: unknown): string {
+    const output = this.toOutput(value);
+    if (output === null) return '';
+    if (Array.isArray(output)) return output.map(item => this.toText(item)).join(', ');
+    if (this.isPlainObject(output)) return JSON.stringify(output);
+    return String(output);
+  }
+
+  private toNumber(value: unknown): number | null {
+    if (value === null) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    throw new FormulaError(`Cannot convert ${this.typeOf(value)} "${this.toText(value)}" to a number`);
+  }
+
+  /**
+   * Dates from properties (YAML dates) and strings: 2024-01-31, 2024-01-31 14:30, 2024-01-31T14:30:00
+   */
+  private toDate(value: unknown): Date | null {
+    if (value === null) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+      if (match) {
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+        if (!isNaN(date.getTime()) && date.getUTCDate() === Number(day)) return date;
+      }
+    }
+    throw new FormulaError(`Invalid date "${this.toText(value)}"`);
+  }
+
+  /**
+   * Durations like "1d", "2 weeks" or "1 year 6 months"
+   */
+  private toDuration(value: unknown): Duration {
+    if (value instanceof Duration) return value;
+    if (typeof value === 'string' && value.trim() !== '') {
+      let months = 0;
+      let milliseconds = 0;
+      const rest = value.replace(/(-?\d+(?:\.\d+)?)\s*([a-zA-Z]+)/g, (match, count, unit) => {
+        const key = unit.length > 1 ? unit.toLowerCase() : unit;
+        const size = Object.prototype.hasOwnProperty.call(DURATION_UNITS, key) ? DURATION_UNITS[key] : undefined;
+        if (!size) throw new FormulaError(`Unknown duration unit "${unit}"`);
+        months += Number(count) * size[0];
+        milliseconds += Number(count) * size[1];
+        return '';
+      });
+      if (rest.trim().replace(/,/g, '') === '') {
+        return new Duration(Math.round(months), milliseconds);
+      }
+    }
+    throw new FormulaError(`Invalid duration "${this.toText(value)}"`);
+  }
+
+  /**
+   * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, mm and ss tokens;
+   * text in [brackets] is kept as is
+   */
+  private formatDate(date: Date, format: string): string {
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const tokens: Record<string, () => string> = {
+      YYYY: () => String(date.getUTCFullYear()),
+      YY: () => String(date.getUTCFullYear()).slice(-2),
+      MMMM: () => MONTH_NAMES[date.getUTCMonth()],
+      MMM: () => MONTH_NAMES[date.getUTCMonth()].slice(0, 3),
+      MM: () => pad(date.getUTCMonth() + 1),
+      M: () => String(date.getUTCMonth() + 1),
+      DD: () => pad(date.getUTCDate()),
+      D: () => String(date.getUTCDate()),
+      dddd: () => DAY_NAMES[date.getUTCDay()],
+      ddd: () => DAY_NAMES[date.getUTCDay()].slice(0, 3),
+      HH: () => pad(date.getUTCHours()),
+      H: () => String(date.getUTCHours()),
+      mm: () => pad(date.getUTCMinutes()),
+      ss: () => pad(date.getUTCSeconds())
+    };
+
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|mm|ss/g, (match, literal) =>
+      literal !== undefined ? literal : tokens[match]()
+    );
+  }
+
+  private formatRelative(date: Date): string {
+    const difference = date.getTime() - Date.now();
+    const units: [string, number][] = [['year', 365 * DAY], ['month', 30 * DAY], ['week', 7 * DAY], ['day', DAY], ['hour', HOUR], ['minute', MINUTE]];
+    for (const [unit, size] of units) {
+      const count = Math.floor(Math.abs(difference) / size);
+      if (count >= 1) {
+        const amount = `${count} ${unit}${count === 1 ? '' : 's'}`;
+        return difference < 0 ? `${amount} ago` : `in ${amount}`;
+      }
+    }
+    return 'just now';
+  }
+
+  private expectNumber(value: unknown, what: string): number {
+    if (typeof value !== 'number' || isNaN(value)) {
+      throw new FormulaError(`${what} must be a number, not ${this.typeOf(value)}`);
+    }
+    return value;
+  }
+
+  private expectString(value: unknown, what: string): string {
+    if (typeof value !== 'string') {
+      throw new FormulaError(`${what} must be a string, not ${this.typeOf(value)}`);
+    }
+    return value;
+  }
+
+  private expectArguments(name: string, args: unknown[], min: number, max: number): void {
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : `${min} to ${max}`;
+      throw new FormulaError(`${name}() takes ${expected} argument${max === 1 ? '' : 's'}, not ${args.length}`);
+    }
+  }
+}
+
+/**
+ * Recursive descent parser of formulas
+ */
+class Parser {
+  private tokens: Token[];
+  private position = 0;
+
+  constructor(formula: string) {
+    this.tokens = this.tokenize(formula);
+  }
+
+  parse(): Node {
+    const node = this.parseBinary(0);
+    if (this.peek().type !== 'end') {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  private tokenize(formula: string): Token[] {
+    const tokens: Token[] = [];
+    let index = 0;
+
+    while (index < formula.length) {
+      const char = formula[index];
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+
+      const number = formula.slice(index).match(/^\d+(?:\.\d+)?/);
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[0]), position: index });
+        index += number[0].length;
+        continue;
+      }
+
+      const identifier = formula.slice(index).match(/^[\p{L}_$][\p{L}\p{N}_$]*/u);
+      if (identifier) {
+        tokens.push({ type: 'identifier', value: identifier[0], position: index });
+        index += identifier[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        let end = index + 1;
+        while (end < formula.length && formula[end] !== char) {
+          if (formula[end] === '\\' && end + 1 < formula.length) {
+            const escaped = formula[end + 1];
+            value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+            end += 2;
+          } else {
+            value += formula[end++];
+          }
+        }
+        if (end >= formula.length) {
+          throw new FormulaError(`Unterminated string at position ${index + 1}`);
+        }
+        tokens.push({ type: 'string', value, position: index });
+        index = end + 1;
+        continue;
+      }
+
+      const punctuation = PUNCTUATION.find(candidate => formula.startsWith(candidate, index));
+      if (!punctuation) {
+        throw new FormulaError(`Unexpected "${char}" at position ${index + 1}`);
+      }
+      tokens.push({ type: 'punctuation', value: punctuation, position: index });
+      index += punctuation.length;
+    }
+
+    tokens.push({ type: 'end', value: '', position: formula.length });
+    return tokens;
+  }
+
+  private peek(): Token {
+    return this.tokens[this.position];
+  }
+
+  private next(): Token {
+    return this.tokens[this.position++];
+  }
+
+  private accept(value: string): boolean {
+    const token = this.peek();
+    if (token.type === 'punctuation' && token.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  private expect(value: string): void {
+    if (!this.accept(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+  }
+
+  private fail(message: string): never {
+    const token = this.peek();
+    throw new FormulaError(token.type === 'end' ? `${message} at the end of the formula` : `${message} at position ${token.position + 1}`);
+  }
+
+  private parseBinary(level: number): Node {
+    if (level === BINARY_PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'punctuation' || !BINARY_PRECEDENCE[level].includes(token.value)) {
+        return left;
+      }
+      this.position++;
+      left = { type: 'binary', operator: token.value, left, right: this.parseBinary(level + 1) };
+    }
+  }
+
+  private parseUnary(): Node {
+    if (this.accept('!')) {
+      return { type: 'unary', operator: '!', argument: this.parseUnary() };
+    }
+    if (this.accept('-')) {
+      return { type: 'unary', operator: '-', argument: this.parseUnary() };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  // Property access, indexing and calls
+  private parsePostfix(node: Node): Node {
+    for (;;) {
+      if (this.accept('.')) {
+        const property = this.next();
+        if (property.type !== 'identifier') {
+          this.position--;
+          this.fail('Expected a property name');
+        }
+        node = { type: 'member', object: node, property: property.value as string };
+      } else if (this.accept('[')) {
+        node = { type: 'index', object: node, index: this.parseBinary(0) };
+        this.expect(']');
+      } else if (this.accept('(')) {
+        node = { type: 'call', callee: node, args: this.parseList(')') };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  private parsePrimary(): Node {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'identifier':
+        if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        return { type: 'identifier', name: token.value };
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const node = this.parseBinary(0);
+          this.expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          return { type: 'list', items: this.parseList(']') };
+        }
+    }
+
+    this.position--;
+    return this.fail(token.type === 'end' ? 'Expected a value' : `Unexpected "${token.value}"`);
+  }
+
+  // Comma-separated expressions up to a closing bracket
+  private parseList(close: string): Node[] {
+    const items: Node[] = [];
+    if (this.accept(close)) return items;
+
+    do {
+      items.push(this.parseBinary(0));
+    } while (this.accept(','));
+    this.expect(close);
+    return items;
+  }
+}
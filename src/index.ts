@@ -2,8 +2,19 @@
 export { SiteGenerator } from './site-generator';
 export { VaultProcessor } from './vault-processor';
 export { MarkdownProcessor } from './markdown-processor';
+export { VaultChecker } from './vault-checker';
+export { LinkResolver } from './link-resolver';
+export { BuildCache } from './build-cache';
+export { DevServer } from './dev-server';
+export { FeedGenerator } from './feed-generator';
+export { SeoProcessor } from './seo-processor';
+export { SearchIndexer } from './search-indexer';
+export { FormulaEngine, FormulaError } from './formula-engine';
 export { generateMainTemplate, generateNoteTemplate } from './templates';
-export type { Note, VaultStructure, SiteConfig, FrontMatter } from './types';
+export type { Note, VaultStructure, SiteConfig, FrontMatter, FeedConfig } from './types';
+export type { HealthIssue, HealthReport } from './vault-checker';
+export type { GenerateOptions, NoteUpdate } from './site-generator';
+export type { PageMetadata } from './seo-processor';
 
 // Re-export the CLI for programmatic usage
 export * from './cli';
@@ -0,0 +1,145 @@
+import path from 'path';
+import { Note, Base } from './types';
+
+/**
+ * Link Resolver
+ *
+ * Index of the notes and bases of a vault, built once per processVault, that
+ * resolves [[links]] and ![[embeds]] in constant time. Every part of the build
+ * (links, backlinks, embeds, link graph) resolves through it, so they agree.
+ *
+ * A link resolves, in order, by:
+ * 1. Note ID (the vault-relative path, e.g. "Folder/My Note")
+ * 2. Title, then filename, of the full link text
+ * 3. Title, then filename, of the last path segment (e.g. "My Note" for "Folder/My Note")
+ * 4. Alias (frontmatter `aliases` or `alias`)
+ * 5. Loose match of the title or filename, ignoring case and punctuation
+ *
+ * When several notes share a key, the first one processed wins.
+ */
+
+export class LinkResolver {
+  private generateNoteId: (linkText: string) => string;
+
+  private notesById = new Map<string, Note>();
+  private notesByTitle = new Map<string, Note>();
+  private notesByFilename = new Map<string, Note>();
+  private notesByAlias = new Map<string, Note>();
+  private notesByLooseName = new Map<string, Note>();
+
+  private basesById = new Map<string, Base>();
+  private basesByName = new Map<string, Base>();
+
+  // Unpublished notes, only indexed to tell links to them apart from broken links
+  private excludedNotes: LinkResolver | null = null;
+
+  constructor(generateNoteId: (linkText: string) => string) {
+    this.generateNoteId = generateNoteId;
+  }
+
+  /**
+   * (Re)build the index from the vault's notes, bases and unpublished notes
+   */
+  build(notes: Map<string, Note>, bases?: Map<string, Base>, excludedNotes?: Map<string, Note>): this {
+    this.notesById.clear();
+    this.notesByTitle.clear();
+    this.notesByFilename.clear();
+    this.notesByAlias.clear();
+    this.notesByLooseName.clear();
+    this.basesById.clear();
+    this.basesByName.clear();
+
+    notes.forEach(note => this.addNote(note));
+    bases?.forEach(base => this.addBase(base));
+
+    this.excludedNotes = excludedNotes?.size
+      ? new LinkResolver(this.generateNoteId).build(excludedNotes)
+      : null;
+
+    return this;
+  }
+
+  /**
+   * Resolve a link target (without #anchor) to a note. Relative links (../Note)
+   * are resolved against the folder of the linking note.
+   */
+  resolve(linkText: string, sourceFolder?: string): Note | undefined {
+    const target = this.normalizeLink(linkText, sourceFolder);
+    if (!target) return undefined;
+
+    const name = target.split('/').pop() || target;
+
+    return this.notesById.get(this.generateNoteId(target))
+      || this.notesByTitle.get(target)
+      || this.notesByFilename.get(target)
+      || this.notesByTitle.get(name)
+      || this.notesByFilename.get(name)
+      || this.notesByAlias.get(target.toLowerCase())
+      || this.notesByLooseName.get(this.generateNoteId(name));
+  }
+
+  /**
+   * Resolve an embed target to a base ("Projects", "Projects.base" or "Bases/Projects.base")
+   */
+  resolveBase(linkText: string, sourceFolder?: string): Base | undefined {
+    const target = this.normalizeLink(linkText, sourceFolder);
+    const name = (target.split('/').pop() || target).replace(/\.base$/, '');
+
+    return this.basesById.get(this.generateNoteId(target.replace(/\.base$/, '')))
+      || this.basesByName.get(name);
+  }
+
+  /**
+   * Whether a link that doesn't resolve points to an unpublished note
+   */
+  isExcluded(linkText: string, sourceFolder?: string): boolean {
+    return !this.resolve(linkText, sourceFolder) && !!this.excludedNotes?.resolve(linkText, sourceFolder);
+  }
+
+  /**
+   * Get a note by ID
+   */
+  getNote(noteId: string): Note | undefined {
+    return this.notesById.get(noteId);
+  }
+
+  private addNote(note: Note): void {
+    const filename = path.basename(note.path, '.md');
+
+    this.setIfAbsent(this.notesById, note.id, note);
+    this.setIfAbsent(this.notesByTitle, note.title, note);
+    this.setIfAbsent(this.notesByFilename, filename, note);
+    note.aliases.forEach(alias => this.setIfAbsent(this.notesByAlias, alias.toLowerCase(), note));
+    this.setIfAbsent(this.notesByLooseName, this.generateNoteId(note.title), note);
+    this.setIfAbsent(this.notesByLooseName, this.generateNoteId(filename), note);
+  }
+
+  private addBase(base: Base): void {
+    this.setIfAbsent(this.basesById, base.id, base);
+    this.setIfAbsent(this.basesByName, path.basename(base.path, '.base'), base);
+    this.setIfAbsent(this.basesByName, base.title, base);
+  }
+
+  /**
+   * Trim a link and resolve relative paths against the linking note's folder
+   */
+  private normalizeLink(linkText: string, sourceFolder?: string): string {
+    const target = linkText.trim();
+
+    if (target.includes('./')) {
+      const resolvedPath = sourceFolder !== undefined
+        ? path.normalize(path.join(sourceFolder, target))
+        : target.replace(/^(\.\.\/|\.\/)+/, '');
+      // Normalize to forward slashes for cross-platform compatibility
+      return resolvedPath.replace(/\\/g, '/').replace(/^\/+/, '');
+    }
+
+    return target;
+  }
+
+  private setIfAbsent<T>(map: Map<string, T>, key: string, value: T): void {
+    if (key && !map.has(key)) {
+      map.set(key, value);
+    }
+  }
+}
@@ -3,22 +3,44 @@ import matter from 'gray-matter';
 import path from 'path';
 import { createHighlighter } from 'shiki';
 import * as katex from 'katex';
-import { Note, FrontMatter, Base, BaseView } from './types';
-import { getLucideIcon } from './templates';
+import { Note, NoteHeading, FrontMatter, Base, BaseView, SiteConfig, RenderedMarkdown, ProcessorOptions } from './types';
+import { escapeHtml, getLucideIcon } from './templates';
 import { BaseProcessor } from './base-processor';
 import { generateCardHtml, getUsedProperties } from './card-renderer';
 import { AbcProcessor } from './abc-processor';
 import { MermaidProcessor } from './mermaid-processor';
+import { CalloutProcessor } from './callout-processor';
+import { TagProcessor } from './tag-processor';
+import { LinkResolver } from './link-resolver';
+
+// Maximum nesting of embedded notes, sections and blocks
+const MAX_EMBED_DEPTH = 5;
 
 export class MarkdownProcessor {
   private linkPattern = /\[\[([^\]]+)\]\]/g;
   private embedPattern = /!\[\[([^\]]+?)(#([^|\]]+))?(\|([^\]]+))?\]\]/g;
+  // Inline #tags: letters, numbers, _, - and / (nesting), with at least one non-digit
+  private tagPattern = /(^|\s)#([\p{L}\p{N}_\/-]*[\p{L}_\/-][\p{L}\p{N}_\/-]*)/gu;
   private highlighter: any = null;
   private mathPlaceholders: Map<string, string> = new Map();
   private mathCounter = 0;
+  // Numbers the embeds of a note, so that their IDs are the same from one build to the next
+  private embedCounter = 0;
+  // Prefix and number of the diagram (Mermaid, ABC) container IDs of the note being rendered:
+  // IDs only depend on the note, so that cached and freshly rendered notes don't share them
+  private diagramIdPrefix = '';
+  private diagramCounter = 0;
   private baseProcessor: BaseProcessor;
+  private calloutProcessor: CalloutProcessor;
+  private tagProcessor: TagProcessor;
+  // Prefix of the site's URLs when it is hosted in a subfolder (e.g. "/docs")
+  private basePath = '';
+  // Don't report progress on stdout (e.g. when a command prints JSON there)
+  private quiet: boolean;
+
+  constructor(options: ProcessorOptions = {}) {
+    this.quiet = options.quiet ?? false;
 
-  constructor() {
     // Configure marked with basic settings first
     marked.setOptions({
       breaks: true,
@@ -26,6 +48,30 @@ export class MarkdownProcessor {
     });
 
     this.baseProcessor = new BaseProcessor();
+    this.calloutProcessor = new CalloutProcessor();
+    this.tagProcessor = new TagProcessor();
+  }
+
+  private log(message: string) {
+    if (!this.quiet) {
+      console.log(message);
+    }
+  }
+
+  /**
+   * Apply site configuration (custom callout types, base path for tag links, etc.)
+   */
+  configure(config: SiteConfig) {
+    this.calloutProcessor = new CalloutProcessor(config.callouts);
+    this.tagProcessor = new TagProcessor(config.basePath || '');
+    this.basePath = config.basePath || '';
+  }
+
+  /**
+   * URL of a note page, including the base path
+   */
+  getNoteUrl(noteId: string): string {
+    return `${this.basePath}/${noteId}`;
   }
 
   async initialize() {
@@ -44,23 +90,23 @@ export class MarkdownProcessor {
         ]
       });
 
-      console.log('✅ Shiki highlighter initialized successfully');
+      this.log('✅ Shiki highlighter initialized successfully');
 
       // Set up custom marked renderer for code blocks
       const renderer = new marked.Renderer();
       renderer.code = ({ text, lang, escaped }: { text: string; lang?: string; escaped?: boolean; }) => {
         // Debug logging to see what language we get
         if (lang && (lang.includes('abc') || lang.includes('music'))) {
-          console.log(`🎵 Processing code block with language: "${lang}"`);
+          this.log(`🎵 Processing code block with language: "${lang}"`);
         }
 
         // Handle inline base syntax
         if (lang === 'base') {
           try {
-            console.log(`📊 Processing inline base syntax with ${text.length} characters`);
+            this.log(`📊 Processing inline base syntax with ${text.length} characters`);
             return this.processInlineBase(text);
           } catch (error) {
-            console.log(`⚠️  Inline base rendering failed, falling back to plain text:`, error);
+            console.warn(`⚠️  Inline base rendering failed, falling back to plain text:`, error);
             return `<div class="base-error">❌ Failed to render base: ${error instanceof Error ? error.message : 'Unknown error'}</div>`;
           }
         }
@@ -68,12 +114,12 @@ export class MarkdownProcessor {
         // Handle ABC music notation
         if (lang === 'music-abc' || lang === 'abc') {
           try {
-            console.log(`🎵 Processing ABC notation with ${text.length} characters`);
-            const abcProcessor = new AbcProcessor(text);
+            this.log(`🎵 Processing ABC notation with ${text.length} characters`);
+            const abcProcessor = new AbcProcessor(text, `abc-${this.diagramIdPrefix}-${this.diagramCounter++}`);
             const result = abcProcessor.generateHtml();
             return result;
           } catch (error) {
-            console.log(`⚠️  ABC rendering failed, falling back to plain text:`, error);
+            console.warn(`⚠️  ABC rendering failed, falling back to plain text:`, error);
             return `<pre><code class="language-abc">${text}</code></pre>`;
           }
         }
@@ -81,14 +127,14 @@ export class MarkdownProcessor {
         // Handle Mermaid diagrams
         if (lang === 'mermaid') {
           try {
-            console.log(`🎨 Processing Mermaid diagram with ${text.length} characters`);
+            this.log(`🎨 Processing Mermaid diagram with ${text.length} characters`);
             // Unescape HTML entities if the text was escaped by marked
             const unescapedText = this.unescapeHtml(text);
-            const mermaidProcessor = new MermaidProcessor(unescapedText);
+            const mermaidProcessor = new MermaidProcessor(unescapedText, `mermaid-${this.diagramIdPrefix}-${this.diagramCounter++}`);
             const result = mermaidProcessor.generateHtml();
             return result;
           } catch (error) {
-            console.log(`⚠️  Mermaid rendering failed, falling back to plain text:`, error);
+            console.warn(`⚠️  Mermaid rendering failed, falling back to plain text:`, error);
             return `<pre><code class="language-mermaid">${text}</code></pre>`;
           }
         }
@@ -115,7 +161,7 @@ export class MarkdownProcessor {
               </div>
             `;
           } catch (error) {
-            console.log(`⚠️  Shiki highlighting failed for language '${lang}', falling back to plain text`);
+            console.warn(`⚠️  Shiki highlighting failed for language '${lang}', falling back to plain text`);
           }
         }
 
@@ -125,15 +171,16 @@ export class MarkdownProcessor {
 
       marked.setOptions({ renderer });
     } catch (error) {
-      console.log('⚠️  Failed to initialize Shiki highlighter:', error);
-      console.log('   Syntax highlighting disabled');
+      console.warn('⚠️  Failed to initialize Shiki highlighter:', error);
+      console.warn('   Syntax highlighting disabled');
     }
   }
 
   /**
-   * Process a markdown file and extract metadata, content, and links
+   * Process a markdown file and extract metadata, content, and links.
+   * `rendered` is a previous rendering of the same content (from the build cache) to reuse.
    */
-  processMarkdown(filePath: string, content: string, vaultPath: string, allNotes?: Map<string, Note>): Note {
+  processMarkdown(filePath: string, content: string, vaultPath: string, linkResolver?: LinkResolver, rendered?: RenderedMarkdown): Note {
     const { data: frontMatter, content: markdownContent } = matter(content);
 
     // Extract title from frontMatter or filename
@@ -148,23 +195,8 @@ export class MarkdownProcessor {
     const relativePathWithoutExt = relativePath.replace(/\.md$/, '');
     const id = this.generateNoteId(relativePathWithoutExt);
 
-    // Extract links from content
-    const links = this.extractLinks(markdownContent);
-
-    // Process Obsidian-specific syntax
-    let processedContent = this.processObsidianSyntax(markdownContent, allNotes, folderPath);
-
-    // Preserve math expressions before markdown processing
-    processedContent = this.preserveMathExpressions(processedContent);
-
-    // Convert to HTML
-    let html = marked(processedContent) as string;
-
-    // Restore math expressions after markdown processing
-    html = this.restoreMathExpressions(html);
-
-    // Generate frontmatter HTML
-    const frontMatterHtml = this.generateFrontMatterHtml(frontMatter as FrontMatter);
+    const { html, frontMatterHtml, links, tags, headings, blockIds } = rendered
+      || this.renderMarkdown(markdownContent, frontMatter as FrontMatter, folderPath, id, linkResolver);
 
     // Get file statistics
     let fileStats;
@@ -189,13 +221,52 @@ export class MarkdownProcessor {
       content: markdownContent,
       frontMatter: frontMatter as FrontMatter,
       frontMatterHtml,
-      html: html as string,
+      html,
       links,
       backlinks: [],
+      tags,
+      aliases: this.extractAliases(frontMatter as FrontMatter),
+      headings,
+      blockIds,
       fileStats
     };
   }
 
+  /**
+   * Render the markdown of a note to HTML and extract its links, tags and anchors
+   */
+  private renderMarkdown(markdownContent: string, frontMatter: FrontMatter, folderPath: string, id: string, linkResolver?: LinkResolver): RenderedMarkdown {
+    // Extract links and tags from content
+    const links = this.extractLinks(markdownContent);
+    const tags = this.extractTags(markdownContent, frontMatter);
+
+    this.diagramIdPrefix = id.replace(/\//g, '-');
+    this.diagramCounter = 0;
+
+    // Process Obsidian-specific syntax
+    let processedContent = this.processObsidianSyntax(markdownContent, linkResolver, folderPath, id);
+
+    // Preserve math expressions before markdown processing
+    processedContent = this.preserveMathExpressions(processedContent);
+
+    // Convert to HTML
+    let html = marked(processedContent) as string;
+
+    // Restore math expressions after markdown processing
+    html = this.restoreMathExpressions(html);
+
+    // Add heading and block anchors so that [[Note#Heading]] and [[Note#^id]] can target them
+    const headings: NoteHeading[] = [];
+    const blockIds: string[] = [];
+    html = this.addHeadingIds(html, headings);
+    html = this.attachBlockIds(html, blockIds);
+
+    // Generate frontmatter HTML
+    const frontMatterHtml = this.generateFrontMatterHtml(frontMatter);
+
+    return { html, frontMatterHtml, links, tags, headings, blockIds };
+  }
+
   /**
    * Preserve math expressions by replacing them with placeholders
    */
@@ -247,7 +318,7 @@ export class MarkdownProcessor {
           strict: false
         });
       } catch (error) {
-        console.log(`⚠️  Failed to render math: ${original.substring(0, 50)}...`);
+        console.warn(`⚠️  Failed to render math: ${original.substring(0, 50)}...`);
         // Fall back to original math expression
         rendered = original;
       }
@@ -271,6 +342,206 @@ export class MarkdownProcessor {
       .replace(/^-+|-+$/g, '');
   }
 
+  /**
+   * Generate a URL-friendly heading slug (must stay in sync with TableOfContents.generateHeadingId)
+   */
+  generateHeadingSlug(text: string): string {
+    return text.toLowerCase()
+      .replace(/[^\w\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/--+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Add IDs to all headings, deduplicated with -1, -2... like the client-side TOC
+   */
+  private addHeadingIds(html: string, headings: NoteHeading[]): string {
+    const usedIds = new Set<string>();
+
+    return html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+      const text = this.unescapeHtml(inner.replace(/<[^>]+>/g, '')).trim();
+      const baseId = this.generateHeadingSlug(text) || `heading-${headings.length}`;
+
+      let id = baseId;
+      let counter = 1;
+      while (usedIds.has(id)) {
+        id = `${baseId}-${counter}`;
+        counter++;
+      }
+      usedIds.add(id);
+
+      headings.push({ level: parseInt(level, 10), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    });
+  }
+
+  /**
+   * Apply a transformation to every line outside code blocks (fenced or indented)
+   * and $$ display math blocks
+   */
+  private mapLinesOutsideCode(content: string, transform: (line: string) => string): string {
+    let fence: string | null = null;
+    let inMath = false;
+    let inIndentedCode = false;
+    // Indented code starts after a blank line, except in lists where indentation continues an item
+    let previousLine = '';
+    let inList = false;
+
+    return content.split('\n').map(line => {
+      const isBlank = !line.trim();
+      const afterBlank = !previousLine.trim();
+      previousLine = line;
+
+      const fenceMatch = !inMath && !inIndentedCode && line.match(/^\s*(```+|~~~+)/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1].startsWith(fence)) {
+          fence = null;
+        }
+        return line;
+      }
+      if (fence) return line;
+
+      // An odd number of $$ opens or closes a display math block
+      if ((line.match(/\$\$/g) || []).length % 2 === 1) {
+        inMath = !inMath;
+        return line;
+      }
+      if (inMath) return line;
+
+      const isIndented = /^( {4}|\t)/.test(line);
+      if (isIndented && (inIndentedCode || (afterBlank && !inList))) {
+        inIndentedCode = true;
+        return line;
+      }
+      if (!isBlank) {
+        inIndentedCode = false;
+        if (!isIndented) {
+          inList = /^\s*([-*+]|\d+[.)])\s/.test(line);
+        }
+      }
+
+      return transform(line);
+    }).join('\n');
+  }
+
+  /**
+   * Replace trailing ^block-id markers with placeholders, skipping fenced code blocks
+   */
+  private markBlockIds(content: string): string {
+    return this.mapLinesOutsideCode(content, line =>
+      line.replace(/[ \t]\^([A-Za-z0-9-]+)[ \t]*$/, ' <!--BLOCKID:$1-->')
+    );
+  }
+
+  /**
+   * Replace inline #tags using `render`, skipping code, math and HTML tags
+   */
+  private replaceInlineTags(content: string, render: (tag: string) => string): string {
+    return this.mapLinesOutsideCode(content, line =>
+      // Odd segments are inline code spans, inline math or HTML tags and are left untouched
+      line.split(/(`[^`]*`|\$\$[^\n]*?\$\$|\$[^$\n]+?\$|<[^>]*>)/).map((segment, index) =>
+        index % 2 === 1
+          ? segment
+          : segment.replace(this.tagPattern, (match, prefix, tag) => `${prefix}${render(tag)}`)
+      ).join('')
+    );
+  }
+
+  /**
+   * Normalize a tag written in frontmatter or inline (strip the leading # and whitespace)
+   */
+  normalizeTag(tag: unknown): string {
+    return String(tag).trim().replace(/^#/, '');
+  }
+
+  /**
+   * Collect frontmatter tags and inline #tags of a note
+   */
+  private extractTags(content: string, frontMatter: FrontMatter): string[] {
+    const tags: string[] = [];
+
+    if (frontMatter.tags) {
+      const frontMatterTags = Array.isArray(frontMatter.tags) ? frontMatter.tags : [frontMatter.tags];
+      frontMatterTags.forEach(tag => tags.push(this.normalizeTag(tag)));
+    }
+
+    this.replaceInlineTags(content, tag => {
+      tags.push(tag);
+      return tag;
+    });
+
+    return [...new Set(tags.filter(tag => tag))];
+  }
+
+  /**
+   * Collect the aliases of a note from its `aliases` frontmatter, and the legacy singular
+   * `alias` key still found in older vaults (each a list or a single value)
+   */
+  private extractAliases(frontMatter: FrontMatter): string[] {
+    const aliases = [frontMatter.aliases, frontMatter.alias]
+      .filter(value => value !== undefined && value !== null)
+      .flatMap(value => Array.isArray(value) ? value : [value]);
+    return [...new Set(aliases.map(alias => String(alias).trim()).filter(alias => alias))];
+  }
+
+  /**
+   * Move block ID placeholders onto their enclosing paragraph or list item
+   */
+  private attachBlockIds(html: string, blockIds: string[]): string {
+    const markerPattern = /\s*<!--BLOCKID:([A-Za-z0-9-]+)-->/;
+    let processed = html;
+    let match: RegExpExecArray | null;
+
+    while ((match = markerPattern.exec(processed)) !== null) {
+      const blockId = match[1];
+      const before = processed.substring(0, match.index);
+      const after = processed.substring(match.index + match[0].length);
+      const openTagIndex = Math.max(before.lastIndexOf('<p>'), before.lastIndexOf('<li>'));
+
+      blockIds.push(blockId);
+
+      if (openTagIndex === -1) {
+        // No enclosing block found, leave an empty anchor in place
+        processed = `${before}<span id="^${blockId}"></span>${after}`;
+      } else {
+        const tagEnd = before.indexOf('>', openTagIndex);
+        processed = `${before.substring(0, tagEnd)} id="^${blockId}"${before.substring(tagEnd)}${after}`;
+      }
+    }
+
+    return processed;
+  }
+
+  /**
+   * Split a link target into its note part and its #heading or #^block-id anchor
+   */
+  splitLinkAnchor(link: string): { target: string; anchor: string } {
+    const hashIndex = link.indexOf('#');
+    if (hashIndex === -1) {
+      return { target: link, anchor: '' };
+    }
+
+    // Nested heading paths (Note#Heading#Subheading) point to the last heading
+    const anchor = link.substring(hashIndex + 1).split('#').pop() || '';
+    return { target: link.substring(0, hashIndex).trim(), anchor: anchor.trim() };
+  }
+
+  /**
+   * Find the element ID an anchor points to in a note, or null if it does not exist
+   */
+  resolveAnchor(note: Note, anchor: string): string | null {
+    if (anchor.startsWith('^')) {
+      return note.blockIds.includes(anchor.substring(1)) ? anchor : null;
+    }
+
+    const slug = this.generateHeadingSlug(anchor);
+    const heading = note.headings.find(h => h.id === slug);
+    return heading ? heading.id : null;
+  }
+
   /**
    * Generate a unique ID for a base based on its path (should match base processor)
    */
@@ -461,6 +732,7 @@ export class MarkdownProcessor {
         title: note.title,
         content: note.content,
         frontMatter: note.frontMatter,
+        tags: note.tags,
         fileStats: note.fileStats,
         folderPath: note.folderPath
       })),
@@ -480,7 +752,7 @@ export class MarkdownProcessor {
   getPropertyValue(note: Note, property: string): string {
     switch (property) {
       case 'file.name':
-        return `<a href="/${note.id}" class="internal-link">${note.title}</a>`;
+        return `<a href="${this.basePath}/${note.id}" class="internal-link">${note.title}</a>`;
 
       case 'file.path':
         return note.relativePath || '';
@@ -495,9 +767,7 @@ export class MarkdownProcessor {
         return '';
 
       case 'file.tags':
-        const tags = note.frontMatter?.tags || [];
-        const tagList = Array.isArray(tags) ? tags : [tags];
-        return tagList.filter(tag => tag && tag.trim()).map(tag => `<span class="tag">${tag.trim()}</span>`).join('');
+        return note.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
 
       case 'file.mtime':
         if (note.fileStats && note.fileStats.mtime) {
@@ -585,8 +855,12 @@ export class MarkdownProcessor {
       if (link && !link.startsWith('!')) {
         // Handle display text with pipe separator: extract only the actual link target
         const actualLink = link.split('|')[0].trim();
-        // Keep the full path for proper linking
-        links.push(actualLink);
+        // Drop #heading / #^block anchors; links to the same note ([[#Heading]]) are skipped
+        const { target } = this.splitLinkAnchor(actualLink);
+        if (target) {
+          // Keep the full path for proper linking
+          links.push(target);
+        }
       }
     }
 
@@ -599,10 +873,19 @@ export class MarkdownProcessor {
   /**
    * Process Obsidian-specific syntax and convert to HTML-friendly format
    */
-  private processObsidianSyntax(content: string, allNotes?: Map<string, Note>, noteFolderPath?: string): string {
-    let processed = content;
+  private processObsidianSyntax(content: string, linkResolver?: LinkResolver, noteFolderPath?: string, noteId?: string): string {
+    // Render inline #tags as tag pills linking to their tag page (before callouts, whose HTML contains # colors)
+    let processed = this.replaceInlineTags(content, tag =>
+      `<a href="${this.tagProcessor.getTagUrl(tag)}" class="tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`
+    );
+
+    // Convert callouts so that links and embeds inside them are processed below
+    processed = this.calloutProcessor.process(processed);
 
-    // Process embeds first (images, other notes)
+    // Mark ^block-id anchors, attached to their paragraph or list item after rendering
+    processed = this.markBlockIds(processed);
+
+    // Process embeds (images, other notes)
     processed = processed.replace(this.embedPattern, (match, link, viewHash, viewName, displayPipe, displayText) => {
       if (this.isImageFile(link)) {
         // Build the correct path for the image
@@ -641,196 +924,123 @@ export class MarkdownProcessor {
       // Handle display text with pipe separator: [[Target|Display Text]]
       const parts = link.split('|');
       const actualLink = parts[0].trim();
-      const displayText = parts.length > 1 ? parts[1].trim() : actualLink;
+
+      // Split off #heading or #^block-id anchors: [[Note#Heading]], [[#Heading]]
+      const { target: linkTarget, anchor } = this.splitLinkAnchor(actualLink);
+      const defaultText = anchor
+        ? (linkTarget ? `${linkTarget} &gt; ${anchor}` : anchor)
+        : actualLink;
+      const displayText = parts.length > 1 ? parts[1].trim() : defaultText;
+      const fragment = anchor
+        ? `#${anchor.startsWith('^') ? anchor : this.generateHeadingSlug(anchor)}`
+        : '';
+      const anchorAttribute = anchor ? ` data-anchor="${escapeHtml(anchor)}"` : '';
+
+      // Links to a heading or block in the same note
+      if (!linkTarget && noteId) {
+        return `<a href="${this.basePath}/${noteId}${fragment}" class="internal-link" data-note=""${anchorAttribute}>${displayText}</a>`;
+      }
 
       // Resolve relative paths if the link contains ../ or ./
-      let resolvedLink = actualLink;
-      if ((actualLink.includes('../') || actualLink.includes('./')) && noteFolderPath) {
+      let resolvedLink = linkTarget;
+      if ((linkTarget.includes('../') || linkTarget.includes('./')) && noteFolderPath) {
         // Resolve relative path based on current note's folder
-        const resolvedPath = path.normalize(path.join(noteFolderPath, actualLink));
+        const resolvedPath = path.normalize(path.join(noteFolderPath, linkTarget));
         // Normalize to forward slashes for cross-platform compatibility
         resolvedLink = resolvedPath.replace(/\\/g, '/');
       }
 
-      // Try to find the actual note to get the correct path
-      let fullPath = resolvedLink;
-      if (allNotes) {
-        // Strategy 1: Direct lookup by generated ID from resolved path
-        const directId = this.generateNoteId(resolvedLink);
-        let targetNote = allNotes.get(directId);
+      // Link to the actual note when known, otherwise to the ID generated from the link
+      // (links are fixed by fixWikiLinks once all notes are processed)
+      const targetNote = linkResolver?.resolve(linkTarget, noteFolderPath);
+      const fullPath = targetNote ? targetNote.id : this.generateNoteId(resolvedLink);
 
-        // Strategy 2: Search by filename if direct path fails
-        if (!targetNote) {
-          const fileName = resolvedLink.includes('/') ? resolvedLink.split('/').pop() || resolvedLink : resolvedLink;
-          for (const note of allNotes.values()) {
-            const noteFileName = path.basename(note.path, '.md');
-            if (noteFileName === fileName || note.title === fileName) {
-              targetNote = note;
-              break;
-            }
-          }
-        }
-
-        // Strategy 3: Search by title (use original actualLink for title matching)
-        if (!targetNote) {
-          const titleToMatch = resolvedLink.includes('/') ? resolvedLink.split('/').pop() || resolvedLink : resolvedLink;
-          for (const note of allNotes.values()) {
-            if (note.title === titleToMatch) {
-              targetNote = note;
-              break;
-            }
-          }
-        }
-
-        // If we found the note, use its ID for the link
-        if (targetNote) {
-          fullPath = targetNote.id;
-        } else {
-          // If not found, generate ID from resolved link
-          fullPath = this.generateNoteId(resolvedLink);
-        }
-      } else {
-        // If no allNotes map provided, generate ID from resolved link
-        fullPath = this.generateNoteId(resolvedLink);
-      }
-
-      return `<a href="/${fullPath}" class="internal-link" data-note="${actualLink}">${displayText}</a>`;
+      return `<a href="${this.basePath}/${fullPath}${fragment}" class="internal-link" data-note="${linkTarget}"${anchorAttribute}>${displayText}</a>`;
     });
 
     return processed;
   }
 
   /**
-   * Fix wiki link paths to use correct full paths with folders
+   * Fix wiki link paths to use correct full paths with folders, and check
+   * that #heading / #^block-id anchors exist in the target note.
+   * Links to excluded (unpublished) notes are rendered as plain text.
    */
-  fixWikiLinks(html: string, allNotes: Map<string, Note>): string {
+  fixWikiLinks(html: string, linkResolver: LinkResolver, sourceNote?: Note): string {
     // Match internal links and fix their href paths
-    return html.replace(/<a href="([^"]+)" class="internal-link" data-note="([^"]+)">([^<]+)<\/a>/g,
-      (match, currentHref, dataNoteValue, displayText) => {
-        // Remove .html extension from href for comparison
-        const hrefWithoutExt = currentHref.replace(/\.html$/, '');
-
-        // Find the actual note by searching for the data-note value
-        let targetNote: Note | undefined;
-
-        // Strategy 1: Search by title
-        for (const note of allNotes.values()) {
-          if (note.title === dataNoteValue) {
-            targetNote = note;
-            break;
-          }
+    return html.replace(/<a href="([^"]+)" class="internal-link" data-note="([^"]*)"(?: data-anchor="([^"]*)")?>([^<]+)<\/a>/g,
+      (match, currentHref, dataNoteValue, anchorValue, displayText) => {
+        // Remove the anchor and .html extension from href for comparison
+        const [hrefPath, fragment = ''] = currentHref.split('#');
+        const hrefWithoutExt = hrefPath.replace(/\.html$/, '').substring(this.basePath.length);
+        const anchor = anchorValue ? this.unescapeHtml(anchorValue) : '';
+
+        // Links within the same note ([[#Heading]]) already point to the right note
+        const linkText = this.unescapeHtml(dataNoteValue);
+        const targetNote = linkText
+          ? linkResolver.resolve(linkText, sourceNote?.folderPath)
+          : linkResolver.getNote(hrefWithoutExt.replace(/^\//, ''));
+
+        // Links to unpublished notes become plain text
+        if (!targetNote && linkText && linkResolver.isExcluded(linkText, sourceNote?.folderPath)) {
+          return displayText;
         }
 
-        // Strategy 2: Search by filename (without extension)  
         if (!targetNote) {
-          for (const note of allNotes.values()) {
-            const noteFileName = path.basename(note.path, '.md');
-            if (noteFileName === dataNoteValue) {
-              targetNote = note;
-              break;
-            }
-          }
+          // If not found, return original link
+          return match;
         }
 
-        // Strategy 3: Handle folder/file format like "Drums/Notation"
-        if (!targetNote && dataNoteValue.includes('/')) {
-          const generatedId = this.generateNoteId(dataNoteValue);
-          targetNote = allNotes.get(generatedId);
+        // Point the fragment at the exact heading or block ID
+        let targetFragment = fragment;
+        if (anchor) {
+          const anchorId = this.resolveAnchor(targetNote, anchor);
+          if (anchorId) {
+            targetFragment = anchorId;
+          } else {
+            const source = sourceNote ? ` in ${sourceNote.relativePath}` : '';
+            console.warn(`⚠️  Unresolved anchor "#${anchor}" in link to "${targetNote.title}"${source}`);
+          }
         }
 
-        // If we found the note and the href doesn't match the correct ID, fix it
-        if (targetNote && hrefWithoutExt !== targetNote.id) {
-          return `<a href="/${targetNote.id}" class="internal-link" data-note="${dataNoteValue}">${displayText}</a>`;
+        const targetHref = `${this.basePath}/${targetNote.id}${targetFragment ? `#${targetFragment}` : ''}`;
+
+        // If the href doesn't match the correct ID, fix it
+        if (currentHref !== targetHref) {
+          const anchorAttribute = anchorValue !== undefined ? ` data-anchor="${anchorValue}"` : '';
+          return `<a href="${targetHref}" class="internal-link" data-note="${dataNoteValue}"${anchorAttribute}>${displayText}</a>`;
         }
 
-        // If not found, return original link
         return match;
       }
     );
   }
 
   /**
-   * Resolve embedded notes and bases by replacing placeholders with actual content
+   * Resolve embedded notes and bases by replacing placeholders with actual content.
+   * `embedChain` lists the notes (and sections) being embedded around this HTML,
+   * so that circular embeds are detected and nesting stays within MAX_EMBED_DEPTH.
    */
-  resolveEmbeddedNotes(html: string, allNotes: Map<string, Note>, bases?: Map<string, Base>): string {
-    return html.replace(/<div class="embed-placeholder" data-embed-target="([^"]+)" data-embed-view="([^"]*)" data-embed-display="([^"]*)"><\/div>/g, (match, linkText, viewName, displayText) => {
-      // First try to find a note to embed
-      let targetNote: Note | undefined;
-      let targetBase: Base | undefined;
-
-      // Strategy 1: Direct note ID match using full path
-      const directId = this.generateNoteId(linkText);
-      targetNote = allNotes.get(directId);
-
-      // Strategy 2: Search by filename if direct path fails
-      if (!targetNote) {
-        const fileName = linkText.includes('/') ? linkText.split('/').pop() || linkText : linkText;
-        const fileId = this.generateNoteId(fileName);
-        targetNote = allNotes.get(fileId);
-      }
-
-      // Strategy 3: Search by title across all notes
-      if (!targetNote) {
-        for (const note of allNotes.values()) {
-          if (note.title === linkText) {
-            targetNote = note;
-            break;
-          }
-        }
-      }
-
-      // Strategy 4: Search by filename (without extension)
-      if (!targetNote) {
-        for (const note of allNotes.values()) {
-          const fileName = path.basename(note.path, '.md');
-          if (fileName === linkText) {
-            targetNote = note;
-            break;
-          }
-        }
-      }
-
-      // Strategy 5: Try to find a base if note not found
-      if (!targetNote && bases) {
-        // Check if it's a .base file reference
-        const baseFileName = linkText.replace(/\.base$/, '');
-
-        // Strategy 5a: Direct base ID lookup (for full path references like "Bases/Projects.base")
-        const baseId = this.generateBaseId(linkText);
-        targetBase = bases.get(baseId);
-
-        // Strategy 5b: Search by base filename (for short references like "Projects.base")
-        if (!targetBase) {
-          for (const base of bases.values()) {
-            const fileName = path.basename(base.path, '.base');
-            if (fileName === baseFileName) {
-              targetBase = base;
-              break;
-            }
-          }
-        }
+  resolveEmbeddedNotes(html: string, linkResolver: LinkResolver, embedChain: string[] = []): string {
+    if (embedChain.length <= 1) {
+      this.embedCounter = 0;
+    }
 
-        // Strategy 5c: Search by base title
-        if (!targetBase) {
-          for (const base of bases.values()) {
-            if (base.title === linkText || base.title === baseFileName) {
-              targetBase = base;
-              break;
-            }
-          }
-        }
-      }
+    return html.replace(/<div class="embed-placeholder" data-embed-target="([^"]+)" data-embed-view="([^"]*)" data-embed-display="([^"]*)"><\/div>/g, (match, linkText, viewName, displayText) => {
+      // First try to find a note to embed, then a base
+      const targetNote = linkResolver.resolve(this.unescapeHtml(linkText));
+      const targetBase = targetNote ? undefined : linkResolver.resolveBase(this.unescapeHtml(linkText));
 
       // Handle base embedding - use same structure as notes with actual base content
       if (targetBase) {
         const safeBaseId = targetBase.id.replace(/\//g, '-');
-        const embedId = `embed-${safeBaseId}-${Math.random().toString(36).substr(2, 9)}`;
+        const embedId = `embed-${safeBaseId}-${++this.embedCounter}`;
 
         // Use the specified view if provided, otherwise use default view
         const specifiedView = viewName ? targetBase.views.find(v => v.name === viewName || v.type === viewName) : null;
         const baseContent = this.generateEmbeddedBaseContent(targetBase, false, specifiedView || undefined); // No controls in content, specific view
         const headerControls = this.generateEmbedHeaderControls(targetBase, specifiedView || undefined); // Controls in header, pass specified view
-        const baseUrl = `/${targetBase.folderPath.toLowerCase()}/${path.basename(targetBase.relativePath, '.base').toLowerCase()}`;
+        const baseUrl = `${this.basePath}/${targetBase.relativePath.replace(/\.base$/, '').toLowerCase()}`;
 
         // Use display text as title if provided, otherwise use base title
         const titleText = displayText || targetBase.title;
@@ -866,24 +1076,64 @@ export class MarkdownProcessor {
         </div>`;
       }
 
+      // Embeds of unpublished notes become plain text, like links to them
+      if (!targetNote && linkResolver.isExcluded(this.unescapeHtml(linkText))) {
+        return displayText || linkText;
+      }
+
       // Handle note embedding
       if (!targetNote) {
         // Neither note nor base found
         return `<div class="embed-note embed-error">❌ Note not found: ${linkText}</div>`;
       }
 
+      // For notes, the #... part selects a heading section or a ^block
+      const anchor = viewName ? this.unescapeHtml(viewName).trim() : '';
+      let embedContent = targetNote.html;
+      let anchorId: string | null = null;
+
+      if (anchor) {
+        anchorId = this.resolveAnchor(targetNote, anchor);
+        const anchoredHtml = anchorId ? this.extractAnchoredHtml(targetNote.html, anchorId) : null;
+        if (!anchoredHtml) {
+          // Only warn for the note's own embeds, not again for every note that embeds it
+          if (embedChain.length <= 1) {
+            console.warn(`⚠️  Embedded ${anchor.startsWith('^') ? 'block' : 'section'} not found: ${linkText}#${anchor}`);
+          }
+          return `<div class="embed-note embed-error">❌ ${anchor.startsWith('^') ? 'Block' : 'Section'} not found: ${linkText}#${anchor}</div>`;
+        }
+        embedContent = anchoredHtml;
+      }
+
+      // Guard against notes that (indirectly) embed themselves
+      const embedKey = anchorId ? `${targetNote.id}#${anchorId}` : targetNote.id;
+      if (embedChain.includes(embedKey)) {
+        console.warn(`⚠️  Circular embed skipped: ${[...embedChain, embedKey].join(' → ')}`);
+        return `<div class="embed-note embed-error">❌ Circular embed: ${linkText}${anchor ? `#${anchor}` : ''}</div>`;
+      }
+      if (embedChain.length >= MAX_EMBED_DEPTH) {
+        console.warn(`⚠️  Embed depth limit (${MAX_EMBED_DEPTH}) reached: ${[...embedChain, embedKey].join(' → ')}`);
+        return `<div class="embed-note embed-error">❌ Embed depth limit reached: ${linkText}${anchor ? `#${anchor}` : ''}</div>`;
+      }
+
+      // Resolve embeds inside the embedded content
+      embedContent = this.resolveEmbeddedNotes(embedContent, linkResolver, [...embedChain, embedKey]);
+
       // Create collapsible embed cartridge
       const safeNoteId = targetNote.id.replace(/\//g, '-');
-      const embedId = `embed-${safeNoteId}-${Math.random().toString(36).substr(2, 9)}`;
-      const noteUrl = `/${targetNote.id}`;
+      const embedId = `embed-${safeNoteId}-${++this.embedCounter}`;
+      const noteUrl = anchorId ? `${this.basePath}/${targetNote.id}#${anchorId}` : `${this.basePath}/${targetNote.id}`;
+      const titleText = anchor
+        ? (displayText || `${targetNote.title} &gt; ${escapeHtml(anchor)}`)
+        : targetNote.title;
 
       return `
-        <div class="embed-note" data-embed-id="${embedId}">
+        <div class="embed-note${anchorId ? ` ${anchor.startsWith('^') ? 'embed-block' : 'embed-section'}` : ''}" data-embed-id="${embedId}">
           <div class="embed-header" onclick="toggleEmbed('${embedId}')">
             <span class="embed-title">
               <a href="${noteUrl}" class="embed-title-link" onclick="event.stopPropagation();">
                 ${this.generateEmbeddedIcon()}
-                <span class="embed-title-text">${targetNote.title}</span>
+                <span class="embed-title-text">${titleText}</span>
               </a>
             </span>
             <span class="embed-controls">
@@ -903,13 +1153,53 @@ export class MarkdownProcessor {
             </span>
           </div>
           <div class="embed-content" id="embed-content-${embedId}">
-            ${targetNote.html}
+            ${embedContent}
           </div>
         </div>
       `.trim();
     });
   }
 
+  /**
+   * Extract a heading section (up to the next heading of the same or a higher
+   * level) or a single ^block element from rendered note HTML
+   */
+  private extractAnchoredHtml(html: string, anchorId: string): string | null {
+    const escapedId = anchorId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const openTag = new RegExp(`<(\\w+)[^>]*\\sid="${escapedId}"[^>]*>`).exec(html);
+    if (!openTag) {
+      return null;
+    }
+
+    const tagName = openTag[1].toLowerCase();
+    const contentStart = openTag.index + openTag[0].length;
+    const headingMatch = tagName.match(/^h([1-6])$/);
+
+    if (headingMatch) {
+      const nextHeading = new RegExp(`<h[1-${headingMatch[1]}][\\s>]`).exec(html.substring(contentStart));
+      const end = nextHeading ? contentStart + nextHeading.index : html.length;
+      return html.substring(openTag.index, end);
+    }
+
+    // Find the matching closing tag, accounting for nested elements of the same type
+    const tagPattern = new RegExp(`<(/?)${tagName}[\\s>]`, 'gi');
+    tagPattern.lastIndex = contentStart;
+    let depth = 1;
+    let end = html.length;
+    let match: RegExpExecArray | null;
+    while ((match = tagPattern.exec(html)) !== null) {
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        end = match.index + match[0].length;
+        break;
+      }
+    }
+
+    const blockHtml = html.substring(openTag.index, end);
+    // List items need a list around them to render as such
+    return tagName === 'li' ? `<ul>${blockHtml}</ul>` : blockHtml;
+  }
+
   /**
    * Check if a link is an image file
    */
@@ -987,36 +1277,37 @@ export class MarkdownProcessor {
       let propertyHtml = '';
 
       if (key === 'tags' && Array.isArray(value)) {
-        // Special handling for tags - escape HTML to prevent overflow
-        const tagsHtml = value.map(tag =>
-          `<span class="tag">${this.escapeHtml(String(tag))}</span>`
-        ).join('');
+        // Special handling for tags - escape HTML to prevent overflow, link to the tag pages
+        const tagsHtml = value.map(tag => {
+          const normalizedTag = this.normalizeTag(tag);
+          return `<a href="${this.tagProcessor.getTagUrl(normalizedTag)}" class="tag" data-tag="${escapeHtml(normalizedTag)}">${escapeHtml(String(tag))}</a>`;
+        }).join('');
         propertyHtml = `
           <div class="property-row">
-            <div class="property-name">${this.escapeHtml(key)}</div>
+            <div class="property-name">${escapeHtml(key)}</div>
             <div class="property-value property-tags">${tagsHtml}</div>
           </div>
         `;
       } else if (Array.isArray(value)) {
         // Handle other arrays (categories, topics, etc.) - escape HTML
         const arrayHtml = value.map(item =>
-          `<span class="property-list-item">${this.escapeHtml(String(item))}</span>`
+          `<span class="property-list-item">${escapeHtml(String(item))}</span>`
         ).join('');
         propertyHtml = `
           <div class="property-row">
-            <div class="property-name">${this.escapeHtml(key)}</div>
+            <div class="property-name">${escapeHtml(key)}</div>
             <div class="property-value property-list">${arrayHtml}</div>
           </div>
         `;
       } else {
         // Handle simple values (strings, numbers, dates) - escape HTML and handle overflow
-        const valueStr = this.escapeHtml(String(value));
+        const valueStr = escapeHtml(String(value));
         const isDate = key.includes('date') || key === 'created' || key === 'published';
         const valueClass = isDate ? 'property-date' : 'property-text';
 
         propertyHtml = `
           <div class="property-row">
-            <div class="property-name">${this.escapeHtml(key)}</div>
+            <div class="property-name">${escapeHtml(key)}</div>
             <div class="property-value ${valueClass}">${valueStr}</div>
           </div>
         `;
@@ -1045,18 +1336,6 @@ export class MarkdownProcessor {
     return '';
   }
 
-  /**
-   * Escape HTML to prevent XSS and text overflow issues
-   */
-  private escapeHtml(text: string): string {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
-  }
-
   /**
    * Unescape HTML entities back to original characters
    */
@@ -1072,7 +1351,7 @@ export class MarkdownProcessor {
   /**
    * Generate backlinks for all notes
    */
-  generateBacklinks(notes: Map<string, Note>): void {
+  generateBacklinks(notes: Map<string, Note>, linkResolver: LinkResolver): void {
     // Clear existing backlinks
     notes.forEach(note => {
       note.backlinks = [];
@@ -1081,36 +1360,8 @@ export class MarkdownProcessor {
     // Generate backlinks
     notes.forEach(note => {
       note.links.forEach(linkText => {
-        // Use the same multi-strategy approach as in processObsidianSyntax
-        let targetNote: Note | undefined;
-
-        // Strategy 1: Direct lookup by generated ID
-        const directId = this.generateNoteId(linkText);
-        targetNote = notes.get(directId);
-
-        // Strategy 2: Search by filename if direct path fails
-        if (!targetNote) {
-          const fileName = linkText.includes('/') ? linkText.split('/').pop() || linkText : linkText;
-          for (const candidateNote of notes.values()) {
-            const noteFileName = path.basename(candidateNote.path, '.md');
-            if (noteFileName === fileName || candidateNote.title === fileName) {
-              targetNote = candidateNote;
-              break;
-            }
-          }
-        }
-
-        // Strategy 3: Search by title
-        if (!targetNote) {
-          for (const candidateNote of notes.values()) {
-            if (candidateNote.title === linkText) {
-              targetNote = candidateNote;
-              break;
-            }
-          }
-        }
-
-        if (targetNote) {
+        const targetNote = linkResolver.resolve(linkText, note.folderPath);
+        if (targetNote && !targetNote.backlinks.includes(note.id)) {
           targetNote.backlinks.push(note.id);
         }
       });
@@ -0,0 +1,155 @@
+import { TagProcessor } from './tag-processor';
+import { Note } from './types';
+
+/**
+ * Search Indexer
+ *
+ * Builds the full-text search index of a site: an inverted index over the title, aliases,
+ * headings, tags and full content of every note, which the client ranks with BM25.
+ *
+ * Field boosts are applied at build time: the frequency of a term in a note is the sum of
+ * its frequencies in each field, times the field's boost. The index is written as:
+ * - data/search/index.json: the notes (ID, title, aliases, excerpt, length) and the
+ *   term prefixes of the shards;
+ * - data/search/terms-<n>.json: the postings of the terms starting with the n-th prefix,
+ *   as flat [note delta, frequency, fields, ...] arrays, where fields is a bitmask of the
+ *   FIELD_FLAGS the term appears in. Small vaults get a single shard, large ones are split
+ *   by first letters so that the client only downloads the shards of what is typed.
+ */
+
+const FIELD_BOOSTS = {
+  title: 10,
+  aliases: 8,
+  headings: 4,
+  tags: 4,
+  content: 1
+};
+
+// FIELD_FLAGS in src/assets/search.js must use the same bits
+const FIELD_FLAGS = {
+  title: 1,
+  aliases: 2,
+  headings: 4,
+  tags: 8,
+  content: 16
+};
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+const EXCERPT_LENGTH = 160;
+
+// Shards are split (up to prefixes of MAX_PREFIX_LENGTH letters) until they serialize under MAX_SHARD_SIZE
+const MAX_SHARD_SIZE = 200 * 1024;
+const MAX_PREFIX_LENGTH = 3;
+
+type Postings = [string, number[]][]; // Term -> [note delta, frequency, fields, ...], sorted by term
+
+export class SearchIndexer {
+  private tagProcessor = new TagProcessor();
+
+  /**
+   * Split text into lowercase terms without diacritics. Search.tokenize (src/assets/search.js)
+   * must split queries the same way.
+   */
+  static tokenize(text: string): string[] {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+  }
+
+  /**
+   * Build the search index files, keyed by output file
+   */
+  buildIndex(notes: Note[]): Map<string, string> {
+    const documents: [string, string, string[], string, number][] = [];
+    const postingsByTerm = new Map<string, number[]>();
+    const lastDocument = new Map<string, number>();
+    let totalLength = 0;
+
+    notes.forEach((note, index) => {
+      const frequencies = new Map<string, number>();
+      const fieldFlags = new Map<string, number>();
+      let length = 0;
+
+      const fields: [keyof typeof FIELD_BOOSTS, string][] = [
+        ['title', note.title],
+        ['aliases', note.aliases.join(' ')],
+        ['headings', note.headings.map(heading => heading.text).join(' ')],
+        ['tags', note.tags.join(' ')],
+        ['content', this.getIndexedContent(note)]
+      ];
+      for (const [field, text] of fields) {
+        const boost = FIELD_BOOSTS[field];
+        for (const term of SearchIndexer.tokenize(text)) {
+          frequencies.set(term, (frequencies.get(term) || 0) + boost);
+          fieldFlags.set(term, (fieldFlags.get(term) || 0) | FIELD_FLAGS[field]);
+          length += boost;
+        }
+      }
+
+      for (const [term, frequency] of frequencies) {
+        let postings = postingsByTerm.get(term);
+        if (!postings) {
+          postings = [];
+          postingsByTerm.set(term, postings);
+        }
+        postings.push(index - (lastDocument.get(term) ?? 0), frequency, fieldFlags.get(term)!);
+        lastDocument.set(term, index);
+      }
+
+      documents.push([note.id, note.title, note.aliases, this.tagProcessor.getExcerpt(note, EXCERPT_LENGTH), length]);
+      totalLength += length;
+    });
+
+    const terms: Postings = Array.from(postingsByTerm).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const shards = this.partition(terms, '');
+
+    const files = new Map<string, string>();
+    files.set('data/search/index.json', JSON.stringify({
+      version: 2,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0,
+      shards: shards.map(([prefix]) => prefix),
+      documents
+    }));
+    shards.forEach(([, shardTerms], index) => {
+      files.set(`data/search/terms-${index}.json`, JSON.stringify(Object.fromEntries(shardTerms)));
+    });
+
+    return files;
+  }
+
+  /**
+   * Text of a note's content for indexing, without link targets and URLs
+   */
+  private getIndexedContent(note: Note): string {
+    return note.content
+      .replace(/\]\([^)]*\)/g, ']')
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/<[^>]+>/g, ' ');
+  }
+
+  /**
+   * Split terms into shards by prefix, until every shard is small enough
+   */
+  private partition(terms: Postings, prefix: string): [string, Postings][] {
+    if (prefix.length >= MAX_PREFIX_LENGTH || JSON.stringify(terms).length <= MAX_SHARD_SIZE) {
+      return [[prefix, terms]];
+    }
+
+    // Terms as long as the prefix stay in a shard of their own
+    const groups = new Map<string, Postings>();
+    for (const entry of terms) {
+      const key = entry[0].substring(0, prefix.length + 1);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key)!.push(entry);
+    }
+
+    return Array.from(groups).flatMap(([key, groupTerms]) =>
+      key === prefix ? [[key, groupTerms] as [string, Postings]] : this.partition(groupTerms, key)
+    );
+  }
+}
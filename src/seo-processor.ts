@@ -0,0 +1,203 @@
+import { getSiteUrl, toAbsoluteUrl } from './site-url';
+import { escapeHtml } from './templates';
+import { Note, SiteConfig } from './types';
+
+/**
+ * SEO Processor
+ *
+ * Builds the metadata of pages for search engines and link previews: meta description,
+ * canonical URL, Open Graph and Twitter card tags, and JSON-LD Article data for notes.
+ *
+ * Notes describe themselves with the `description`, `image`, `author` and `published`
+ * frontmatter, else with their first paragraph and first image. Absolute URLs (canonical,
+ * og:url, og:image) need the `siteUrl` option.
+ */
+
+const DESCRIPTION_LENGTH = 200;
+
+export interface PageMetadata {
+  title: string;
+  description?: string;
+  url?: string; // Absolute (canonical) URL of the page
+  image?: string; // Absolute URL of the preview image
+  type: 'website' | 'article';
+  authors: string[];
+  published?: Date;
+  noindex?: boolean;
+}
+
+export class SeoProcessor {
+  private config: SiteConfig;
+  private siteUrl: string | null;
+
+  constructor(config: SiteConfig) {
+    this.config = config;
+    this.siteUrl = getSiteUrl(config);
+  }
+
+  /**
+   * Whether a note asks to be kept out of search engines (`noindex: true`)
+   */
+  isNoindex(note: Note): boolean {
+    return note.frontMatter.noindex === true;
+  }
+
+  /**
+   * Authors from the `author` frontmatter, showing [[links]] by their name
+   */
+  getAuthors(note: Note): string[] {
+    const author = note.frontMatter.author;
+    const authors = Array.isArray(author) ? author : author ? [author] : [];
+    return authors
+      .map(name => String(name).trim().replace(/^\[\[|\]\]$/g, '').split('|').pop()!.trim())
+      .filter(name => name);
+  }
+
+  /**
+   * Metadata of a note page
+   */
+  getNoteMetadata(note: Note): PageMetadata {
+    const url = this.siteUrl ? `${this.siteUrl}/${encodeURI(note.id)}` : undefined;
+    const description = typeof note.frontMatter.description === 'string' && note.frontMatter.description.trim()
+      ? note.frontMatter.description.trim()
+      : this.getFirstParagraph(note.html);
+
+    const publishedValue = note.frontMatter.published || note.frontMatter.created;
+    const published = publishedValue ? new Date(publishedValue) : undefined;
+
+    return {
+      title: note.title,
+      description,
+      url,
+      image: this.getNoteImage(note, url),
+      type: 'article',
+      authors: this.getAuthors(note),
+      published: published && !isNaN(published.getTime()) ? published : undefined,
+      noindex: this.isNoindex(note)
+    };
+  }
+
+  /**
+   * Metadata of a generated page (home, base, category or tag page)
+   * @param pagePath Path of the page in the site (e.g. "/tags/")
+   */
+  getPageMetadata(title: string, pagePath: string, description?: string): PageMetadata {
+    return {
+      title,
+      description: description || this.config.description,
+      url: this.siteUrl ? this.siteUrl + encodeURI(pagePath) : undefined,
+      type: 'website',
+      authors: []
+    };
+  }
+
+  /**
+   * Generate the <head> tags of a page's metadata
+   */
+  generateHeadTags(metadata: PageMetadata): string {
+    const tags: string[] = [];
+    const meta = (attribute: 'name' | 'property', key: string, value?: string) => {
+      if (value) tags.push(`<meta ${attribute}="${key}" content="${escapeHtml(value)}">`);
+    };
+
+    meta('name', 'description', metadata.description);
+    if (metadata.url) {
+      tags.push(`<link rel="canonical" href="${escapeHtml(metadata.url)}">`);
+    }
+    if (metadata.noindex) {
+      meta('name', 'robots', 'noindex');
+    }
+
+    // Open Graph
+    meta('property', 'og:type', metadata.type);
+    meta('property', 'og:title', metadata.title);
+    meta('property', 'og:description', metadata.description);
+    meta('property', 'og:url', metadata.url);
+    meta('property', 'og:site_name', this.config.title);
+    meta('property', 'og:image', metadata.image);
+    meta('property', 'article:published_time', metadata.published?.toISOString());
+    metadata.authors.forEach(author => meta('property', 'article:author', author));
+
+    // Twitter card
+    meta('name', 'twitter:card', metadata.image ? 'summary_large_image' : 'summary');
+    meta('name', 'twitter:title', metadata.title);
+    meta('name', 'twitter:description', metadata.description);
+    meta('name', 'twitter:image', metadata.image);
+
+    if (metadata.type === 'article') {
+      tags.push(`<script type="application/ld+json">${this.generateJsonLd(metadata)}</script>`);
+    }
+
+    return tags.join('\n    ');
+  }
+
+  /**
+   * JSON-LD Article data, safe to embed in a <script>
+   */
+  private generateJsonLd(metadata: PageMetadata): string {
+    const article = {
+      '@context': 'https://schema.org',
+      '@type': 'Article',
+      headline: metadata.title,
+      ...(metadata.description ? { description: metadata.description } : {}),
+      ...(metadata.url ? { url: metadata.url, mainEntityOfPage: metadata.url } : {}),
+      ...(metadata.image ? { image: metadata.image } : {}),
+      ...(metadata.published ? { datePublished: metadata.published.toISOString() } : {}),
+      ...(metadata.authors.length > 0
+        ? { author: metadata.authors.map(name => ({ '@type': 'Person', name })) }
+        : {}),
+      publisher: { '@type': 'Organization', name: this.config.title }
+    };
+
+    return JSON.stringify(article).replace(/</g, '\\u003c');
+  }
+
+  /**
+   * Absolute URL of the note's `image` frontmatter (a URL, a path relative to the note or
+   * an [[embed]]), else of its first image. Without a siteUrl, only absolute URLs can be used.
+   */
+  private getNoteImage(note: Note, noteUrl?: string): string | undefined {
+    const image = typeof note.frontMatter.image === 'string'
+      ? note.frontMatter.image.trim().replace(/^!?\[\[|\]\]$/g, '').split('|')[0].trim()
+      : '';
+
+    let imageUrl = image;
+    if (image && !/^[a-z][a-z0-9+.-]*:/i.test(image) && !image.startsWith('/')) {
+      // Images are served from the note's folder (see MarkdownProcessor.processObsidianSyntax)
+      imageUrl = note.folderPath ? `/${note.folderPath}/${image}` : `/${image}`;
+    }
+    if (!imageUrl) {
+      imageUrl = note.html.match(/<img\b[^>]*\bsrc="([^"]+)"/)?.[1] || '';
+    }
+    if (!imageUrl) return undefined;
+
+    if (this.siteUrl) {
+      return toAbsoluteUrl(imageUrl, this.siteUrl, this.config, noteUrl);
+    }
+    return /^https?:\/\//.test(imageUrl) ? imageUrl : undefined;
+  }
+
+  /**
+   * Plain text of the first non-empty paragraph of some HTML, shortened for a description
+   */
+  private getFirstParagraph(html: string): string | undefined {
+    for (const match of html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/g)) {
+      const text = match[1]
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (text) {
+        return text.length > DESCRIPTION_LENGTH
+          ? `${text.substring(0, DESCRIPTION_LENGTH).replace(/\s+\S*$/, '')}…`
+          : text;
+      }
+    }
+    return undefined;
+  }
+}
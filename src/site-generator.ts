@@ -2,35 +2,86 @@ import fs from 'fs-extra';
 import path from 'path';
 import { glob } from 'glob';
 import { VaultProcessor } from './vault-processor';
-import { generateMainTemplate, generateNoteTemplate, generateBaseHTML, generateNoteHTML } from './templates';
-import { VaultStructure, SiteConfig, Note, Base } from './types';
+import { generateMainTemplate, generateNoteTemplate, generateBaseHTML, generateNoteHTML, generateTagIndexHTML, generateTagPageHTML, generateCategoryHubHTML, generateRedirectHTML, generateFolderTreeHTML, generateTableOfContentsHTML } from './templates';
+import { TagProcessor } from './tag-processor';
+import { CategoryProcessor } from './category-processor';
+import { BuildCache } from './build-cache';
+import { FeedGenerator } from './feed-generator';
+import { SearchIndexer } from './search-indexer';
+import { SeoProcessor, PageMetadata } from './seo-processor';
+import { getSiteUrl } from './site-url';
+import { VaultStructure, SiteConfig, Note, Base, FolderNode, FeedConfig } from './types';
+
+// Frontmatter dates a note's last modification is taken from, for the sitemap
+const LASTMOD_PROPERTIES = ['updated', 'modified', 'lastmod', 'published', 'created', 'date'];
+
+export interface GenerateOptions {
+  cache?: boolean; // Reuse the previous build of the same vault and output (default: true)
+}
+
+/**
+ * What a rebuild changed in the notes, in the format of data/notes.json, for open
+ * pages to update in place (see `obsidianp serve`)
+ */
+export interface NoteUpdate {
+  notes: Record<string, any>; // Notes whose page changed, with their content (data/notes/<id>.json)
+  removedNoteIds: string[];
+  bases: Record<string, any>;
+  linkGraph: Record<string, string[]>;
+  categories: Record<string, string[]>;
+  tags: Record<string, string[]>;
+  folderStructure: FolderNode[];
+}
 
 export class SiteGenerator {
   private vaultProcessor: VaultProcessor;
+  private buildCache: BuildCache | null = null;
+  private writtenFiles: string[] = [];
+  private unchangedFileCount = 0;
+
+  // Data files of the last two builds, to tell which notes a rebuild changed
+  private siteData: Record<string, any> | null = null;
+  private previousSiteData: Record<string, any> | null = null;
+  private noteData: Record<string, any> = {};
 
   constructor() {
     this.vaultProcessor = new VaultProcessor();
   }
 
   /**
-   * Generate a complete static site from an Obsidian vault
+   * Generate a complete static site from an Obsidian vault. Unless disabled, only what
+   * changed since the previous build into the same output is re-rendered and rewritten.
    */
   async generateSite(
     vaultPath: string,
     outputPath: string,
-    config: SiteConfig = { title: 'Obsidian Vault' }
+    config: SiteConfig = { title: 'Obsidian Vault' },
+    options: GenerateOptions = {}
   ): Promise<void> {
     console.log('🚀 Starting site generation...');
     console.log(`📁 Vault: ${vaultPath}`);
     console.log(`📤 Output: ${outputPath}`);
 
+    this.buildCache = options.cache === false ? null : new BuildCache(vaultPath, outputPath, config);
+    const incremental = this.buildCache ? await this.buildCache.load() : false;
+    this.writtenFiles = [];
+    this.unchangedFileCount = 0;
+    this.previousSiteData = this.siteData;
+    this.siteData = null;
+
+    if (config.siteUrl && !/^https?:\/\/[^/]/.test(config.siteUrl)) {
+      console.warn(`⚠️  siteUrl "${config.siteUrl}" is not an absolute http(s) URL, no sitemap generated`);
+    }
+
     // Process the vault
-    console.log('📖 Processing vault...');
-    const vaultStructure = await this.vaultProcessor.processVault(vaultPath);
+    console.log(incremental ? '📖 Processing vault (incremental)...' : '📖 Processing vault...');
+    const vaultStructure = await this.vaultProcessor.processVault(vaultPath, config, this.buildCache || undefined);
 
-    // Ensure output directory exists and is clean
+    // Ensure output directory exists; a full build starts from a clean one
     await fs.ensureDir(outputPath);
-    await this.cleanOutputDirectory(outputPath);
+    if (!incremental) {
+      await this.cleanOutputDirectory(outputPath);
+    }
 
     // Copy assets
     console.log('📋 Copying assets...');
@@ -41,22 +92,126 @@ export class SiteGenerator {
 
     // Copy attachments
     console.log('🖼️ Copying attachments...');
-    await this.copyAttachments(vaultPath, outputPath);
+    await this.copyAttachments(vaultPath, outputPath, config);
 
-    // Generate HTML files
+    // Generate HTML files, advertising the feeds in every page
+    const feeds = this.getFeeds(config);
+    const feedLinksHtml = feeds.length > 0 ? new FeedGenerator(getSiteUrl(config)!, config).getHeadLinks(feeds) : '';
     console.log('📝 Generating HTML files...');
-    await this.generateHTML(vaultStructure, outputPath, config);
+    await this.generateHTML(vaultStructure, outputPath, config, feedLinksHtml);
 
     // Generate data files for JavaScript
     console.log('💾 Generating data files...');
-    await this.generateDataFiles(vaultStructure, outputPath);
+    await this.generateDataFiles(vaultStructure, outputPath, config);
+
+    // Generate sitemap.xml and robots.txt for search engines
+    console.log('🗺️ Generating sitemap...');
+    await this.generateSitemap(vaultStructure, outputPath, config);
+    await this.generateRobotsTxt(outputPath, config);
+
+    // Generate feeds of recent notes
+    if (feeds.length > 0) {
+      console.log('📡 Generating feeds...');
+      await this.generateFeeds(vaultStructure, outputPath, config, feeds);
+    }
 
     // Create .nojekyll file for GitHub Pages
-    await fs.writeFile(path.join(outputPath, '.nojekyll'), '');
+    await this.writeOutput(outputPath, '.nojekyll', '');
+
+    if (this.buildCache) {
+      await this.removeStaleOutputs(outputPath);
+      await this.buildCache.save();
+      console.log(`📊 ${this.writtenFiles.length} files written, ${this.unchangedFileCount} unchanged`);
+    }
 
     console.log('✅ Site generation complete!');
   }
 
+  /**
+   * What the last build changed in the notes since the build before it (by the same generator).
+   * Returns null when there is no such build, or when the change needs a full page reload
+   * (assets or configuration changed).
+   */
+  getNoteUpdate(): NoteUpdate | null {
+    if (!this.previousSiteData || !this.siteData) return null;
+    if (this.writtenFiles.some(file => file.startsWith('assets/'))) return null;
+
+    const writtenFiles = new Set(this.writtenFiles);
+    const notes: Record<string, any> = {};
+    Object.entries(this.siteData.notes as Record<string, any>).forEach(([id, note]) => {
+      if (writtenFiles.has(`${id}.html`) || writtenFiles.has(this.getNoteDataFile(id))) {
+        notes[id] = { ...note, ...this.noteData[id] };
+      }
+    });
+
+    const { bases, linkGraph, categories, tags, folderStructure } = this.siteData;
+    return {
+      notes,
+      removedNoteIds: Object.keys(this.previousSiteData.notes).filter(id => !(id in this.siteData!.notes)),
+      bases,
+      linkGraph,
+      categories,
+      tags,
+      folderStructure
+    };
+  }
+
+  /**
+   * Write an output file (path relative to the output directory), unless the previous build wrote the same content
+   */
+  private async writeOutput(outputPath: string, outputFile: string, content: string): Promise<void> {
+    await this.renderOutput(outputPath, outputFile, BuildCache.hash(content), () => content);
+  }
+
+  /**
+   * Render and write an output file, unless the previous build produced it from the same inputs
+   */
+  private async renderOutput(outputPath: string, outputFile: string, inputsHash: string, render: () => string): Promise<void> {
+    const filePath = path.join(outputPath, outputFile);
+
+    if (this.buildCache) {
+      this.buildCache.setOutput(outputFile, inputsHash);
+      if (this.buildCache.isOutputUpToDate(outputFile, inputsHash) && await fs.pathExists(filePath)) {
+        this.unchangedFileCount++;
+        return;
+      }
+    }
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, render());
+    this.writtenFiles.push(outputFile.split(path.sep).join('/'));
+  }
+
+  /**
+   * Copy a file to the output directory, unless the previous build copied the same version
+   */
+  private async copyOutput(outputPath: string, sourcePath: string, outputFile: string): Promise<void> {
+    const filePath = path.join(outputPath, outputFile);
+    const stats = await fs.stat(sourcePath);
+    const inputsHash = `${stats.size}:${stats.mtimeMs}`;
+
+    if (this.buildCache) {
+      this.buildCache.setOutput(outputFile, inputsHash);
+      if (this.buildCache.isOutputUpToDate(outputFile, inputsHash) && await fs.pathExists(filePath)) {
+        this.unchangedFileCount++;
+        return;
+      }
+    }
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.copy(sourcePath, filePath);
+    this.writtenFiles.push(outputFile.split(path.sep).join('/'));
+  }
+
+  /**
+   * Remove the files of the previous build that this build didn't produce (e.g. of deleted notes)
+   */
+  private async removeStaleOutputs(outputPath: string): Promise<void> {
+    for (const outputFile of this.buildCache?.getStaleOutputs() || []) {
+      await fs.remove(path.join(outputPath, outputFile));
+    }
+  }
+
   /**
    * Clean the output directory but preserve .git if it exists
    */
@@ -75,16 +230,11 @@ export class SiteGenerator {
    */
   private async copyAssets(outputDir: string, config: SiteConfig = { title: 'Obsidian Vault' }): Promise<void> {
     const assetsDir = path.join(process.cwd(), 'src', 'assets');
-    const outputAssetsDir = path.join(outputDir, 'assets');
-
-    // Create assets directory
-    await fs.mkdir(outputAssetsDir, { recursive: true });
 
     // Copy main assets
     const files = await fs.readdir(assetsDir);
     for (const file of files) {
       const sourcePath = path.join(assetsDir, file);
-      const targetPath = path.join(outputAssetsDir, file);
 
       // Read the file
       let content = await fs.readFile(sourcePath, 'utf-8');
@@ -96,21 +246,15 @@ export class SiteGenerator {
         content = content.replace(/url\(\/assets\//g, `url(${config.basePath}/assets/`);
       }
 
-      await fs.writeFile(targetPath, content);
+      await this.writeOutput(outputDir, path.join('assets', file), content);
     }
 
-    // Create fonts directory
-    const fontsDir = path.join(outputAssetsDir, 'fonts');
-    await fs.mkdir(fontsDir, { recursive: true });
-
     // Copy Monaspace Krypton font
     const monaspaceFont = path.join(
       process.cwd(),
       'node_modules/@fontsource/monaspace-krypton/files/monaspace-krypton-latin-400-normal.woff2'
     );
-
-    const monaspaceTarget = path.join(fontsDir, 'MonaspaceKrypton-Regular.woff2');
-    await fs.copyFile(monaspaceFont, monaspaceTarget);
+    await this.copyOutput(outputDir, monaspaceFont, 'assets/fonts/MonaspaceKrypton-Regular.woff2');
 
     // Copy Mona Sans fonts
     const monaSansWeights = ['400', '500', '600', '700'];
@@ -119,8 +263,7 @@ export class SiteGenerator {
         process.cwd(),
         `node_modules/@fontsource/mona-sans/files/mona-sans-latin-${weight}-normal.woff2`
       );
-      const monaSansTarget = path.join(fontsDir, `MonaSans-${weight}.woff2`);
-      await fs.copyFile(monaSansFont, monaSansTarget);
+      await this.copyOutput(outputDir, monaSansFont, `assets/fonts/MonaSans-${weight}.woff2`);
     }
 
     // Copy KaTeX CSS for math rendering
@@ -128,74 +271,63 @@ export class SiteGenerator {
       process.cwd(),
       'node_modules/katex/dist/katex.min.css'
     );
-    const katexTarget = path.join(outputAssetsDir, 'katex.min.css');
-    await fs.copyFile(katexCSS, katexTarget);
+    await this.copyOutput(outputDir, katexCSS, 'assets/katex.min.css');
 
     // Copy D3.js for graph rendering
     const d3JS = path.join(
       process.cwd(),
       'node_modules/d3/dist/d3.min.js'
     );
-    const d3Target = path.join(outputAssetsDir, 'd3.min.js');
-    await fs.copyFile(d3JS, d3Target);
+    await this.copyOutput(outputDir, d3JS, 'assets/d3.min.js');
 
     // Copy Mermaid.js for diagram rendering
     const mermaidJS = path.join(
       process.cwd(),
       'node_modules/mermaid/dist/mermaid.min.js'
     );
-    const mermaidTarget = path.join(outputAssetsDir, 'mermaid.min.js');
-    await fs.copyFile(mermaidJS, mermaidTarget);
+    await this.copyOutput(outputDir, mermaidJS, 'assets/mermaid.min.js');
 
     // Copy KaTeX fonts to the existing fonts directory
     const katexFontsSource = path.join(
       process.cwd(),
       'node_modules/katex/dist/fonts'
     );
-    const katexFontsTarget = path.join(outputAssetsDir, 'fonts');
-
-    // Ensure fonts directory exists and copy KaTeX fonts
-    await fs.ensureDir(katexFontsTarget);
     const katexFontFiles = await fs.readdir(katexFontsSource);
     for (const fontFile of katexFontFiles) {
-      await fs.copy(
-        path.join(katexFontsSource, fontFile),
-        path.join(katexFontsTarget, fontFile)
-      );
+      await this.copyOutput(outputDir, path.join(katexFontsSource, fontFile), path.join('assets', 'fonts', fontFile));
     }
   }
 
   /**
-   * Copy attachment files (images, etc.) from the entire vault
+   * Copy attachment files (images, etc.) from the vault, except those left out by the include/exclude globs
    */
-  private async copyAttachments(vaultPath: string, outputPath: string): Promise<void> {
-    // Copy traditional Attachments folder if it exists
-    const attachmentsPath = path.join(vaultPath, 'Attachments');
-    const outputAttachmentsPath = path.join(outputPath, 'attachments');
+  private async copyAttachments(vaultPath: string, outputPath: string, config: SiteConfig): Promise<void> {
+    const publishedFiles = await this.vaultProcessor.findPublishedFiles(vaultPath, config);
+    const isPublished = (file: string) => publishedFiles.has(path.resolve(vaultPath, file));
 
-    if (await fs.pathExists(attachmentsPath)) {
-      await fs.copy(attachmentsPath, outputAttachmentsPath);
+    // Copy traditional Attachments folder if it exists
+    const attachmentFiles = (await glob('Attachments/**/*', {
+      cwd: vaultPath,
+      nodir: true
+    })).filter(isPublished);
+
+    for (const attachmentFile of attachmentFiles) {
+      const outputFile = path.join('attachments', path.relative('Attachments', attachmentFile));
+      await this.copyOutput(outputPath, path.join(vaultPath, attachmentFile), outputFile);
     }
 
     // Also copy all image files from the vault, preserving folder structure
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
 
     for (const ext of imageExtensions) {
-      const imageFiles = await glob(`**/*${ext}`, {
+      const imageFiles = (await glob(`**/*${ext}`, {
         cwd: vaultPath,
         absolute: false,
         nodir: true
-      });
+      })).filter(isPublished);
 
       for (const imageFile of imageFiles) {
-        const sourcePath = path.join(vaultPath, imageFile);
-        const destPath = path.join(outputPath, imageFile);
-
-        // Ensure destination directory exists
-        await fs.ensureDir(path.dirname(destPath));
-
-        // Copy the image file
-        await fs.copy(sourcePath, destPath);
+        await this.copyOutput(outputPath, path.join(vaultPath, imageFile), imageFile);
       }
     }
   }
@@ -206,48 +338,118 @@ export class SiteGenerator {
   private async generateHTML(
     vaultStructure: VaultStructure,
     outputPath: string,
-    config: SiteConfig
+    config: SiteConfig,
+    feedLinksHtml: string = ''
   ): Promise<void> {
-    const { notes, bases } = vaultStructure;
+    const { notes, bases, folderStructure } = vaultStructure;
     const basePath = config.basePath || '';
 
+    // Every page's <head> gets its metadata (description, canonical URL, social cards) and the feed links
+    const seoProcessor = new SeoProcessor(config);
+    const getHeadHtml = (metadata: PageMetadata) =>
+      [seoProcessor.generateHeadTags(metadata), feedLinksHtml].filter(html => html).join('\n    ');
+
+    // Every page has the file tree in its sidebar, expanded to the page's note or base
+    const baseUrls = new Map(Array.from(bases.values(), base =>
+      [base.id, `${basePath}/${this.getBaseOutputFile(base).split(path.sep).join('/').replace(/\.html$/, '')}`]
+    ));
+    const getFolderTreeHtml = (activeId?: string) => generateFolderTreeHTML(folderStructure, basePath, baseUrls, activeId);
+    const folderTreeHash = BuildCache.hash(JSON.stringify([folderStructure, Array.from(baseUrls)]));
+
+    // Output files of the pages, which alias redirects mustn't overwrite
+    const pageFiles = new Set<string>();
+
     // Generate index.html (main page)
-    const indexHtml = generateMainTemplate(config.title, basePath);
-    await fs.writeFile(path.join(outputPath, 'index.html'), indexHtml);
+    const indexHtml = generateMainTemplate(config.title, basePath, getHeadHtml(seoProcessor.getPageMetadata(config.title, '/')), getFolderTreeHtml());
+    await this.writeOutput(outputPath, 'index.html', indexHtml);
+    pageFiles.add('index.html');
 
-    // Generate individual note pages
+    // Generate individual note pages. A page only changes with the note's final HTML
+    // (which includes its embeds, base results and category listing), its properties,
+    // its backlinks, its metadata and the file tree, so it is only re-rendered when one of those changed.
     for (const note of notes.values()) {
       const backlinks = note.backlinks
         .map(id => notes.get(id))
-        .filter((n): n is Note => n !== undefined)
-        .map(n => n.title);
+        .filter((n): n is Note => n !== undefined);
+      const headHtml = getHeadHtml(seoProcessor.getNoteMetadata(note));
+
+      const inputsHash = BuildCache.hash(JSON.stringify([
+        note.title, note.html, note.frontMatterHtml, backlinks.map(n => [n.id, n.title]), headHtml, folderTreeHash
+      ]));
+      pageFiles.add(`${note.id}.html`);
+      await this.renderOutput(outputPath, `${note.id}.html`, inputsHash, () => {
+        // Use generateNoteTemplate with the actual note content
+        const noteContent = generateNoteTemplate(note.title, note.html, note.frontMatterHtml, backlinks, basePath);
+        // Wrap the note content in a proper HTML structure, with the sidebars rendered for the note
+        return generateNoteHTML(
+          noteContent, config.title, basePath, note.title, headHtml,
+          getFolderTreeHtml(note.id), generateTableOfContentsHTML(note.headings), note.id
+        );
+      });
+    }
+
+    // Generate individual base pages
+    for (const base of bases.values()) {
+      const baseUrl = `/${this.getBaseOutputFile(base).split(path.sep).join('/').replace(/\.html$/, '')}`;
+      const headHtml = getHeadHtml(seoProcessor.getPageMetadata(base.title, baseUrl, base.description));
+      const baseHtml = generateBaseHTML(base, config.title, basePath, this.vaultProcessor.getMarkdownProcessor(), headHtml, getFolderTreeHtml(base.id));
+
+      await this.writeOutput(outputPath, this.getBaseOutputFile(base), baseHtml);
+      pageFiles.add(this.getBaseOutputFile(base).split(path.sep).join('/'));
+    }
 
-      // Use generateNoteTemplate with the actual note content
-      const noteContent = generateNoteTemplate(note.title, note.html, note.frontMatterHtml, backlinks, basePath);
-      // Wrap the note content in a proper HTML structure - pass both vault title and note title
-      const noteHtml = generateNoteHTML(noteContent, config.title, basePath, note.title);
-      const noteFileName = `${note.id}.html`;
+    // Generate hub pages for categories without a note of their own, at the URL [[Category]] links point to
+    const categoryProcessor = new CategoryProcessor(this.vaultProcessor.getMarkdownProcessor());
+    for (const [category, memberIds] of vaultStructure.categories) {
+      if (categoryProcessor.findHubNote(category, vaultStructure.linkResolver)) continue;
 
-      // Create nested directory structure if needed  
-      const noteFilePath = path.join(outputPath, noteFileName);
-      const noteDir = path.dirname(noteFilePath);
-      await fs.ensureDir(noteDir);
+      const members = memberIds
+        .map(id => notes.get(id))
+        .filter((n): n is Note => n !== undefined);
+      const listingHtml = categoryProcessor.generateCategoryListing(category, members);
+      const headHtml = getHeadHtml(seoProcessor.getPageMetadata(category, `/${categoryProcessor.getHubId(category)}`, `${members.length} ${members.length === 1 ? 'note' : 'notes'} in ${category}`));
+      const hubHtml = generateCategoryHubHTML(category, listingHtml, config.title, basePath, headHtml, getFolderTreeHtml());
 
-      await fs.writeFile(noteFilePath, noteHtml);
+      await this.writeOutput(outputPath, `${categoryProcessor.getHubId(category)}.html`, hubHtml);
+      pageFiles.add(`${categoryProcessor.getHubId(category)}.html`);
     }
 
-    // Generate individual base pages
-    for (const base of bases.values()) {
-      const baseHtml = generateBaseHTML(base, config.title, basePath, this.vaultProcessor.getMarkdownProcessor());
+    // Generate the tag index (tags/index.html) and one page per tag, including parent tags
+    const tagProcessor = new TagProcessor(basePath);
+    const tagTree = tagProcessor.buildTagTree(vaultStructure.tags);
+    pageFiles.add('tags/index.html');
+    await this.writeOutput(outputPath, 'tags/index.html', generateTagIndexHTML(tagTree, tagProcessor, config.title, basePath, getHeadHtml(seoProcessor.getPageMetadata('Tags', '/tags/')), getFolderTreeHtml()));
 
-      // Create proper folder structure for bases, just like notes
-      const baseDir = path.join(outputPath, base.folderPath.toLowerCase());
-      await fs.ensureDir(baseDir);
+    for (const tagNode of tagProcessor.flattenTagTree(tagTree)) {
+      const tagNotes = tagNode.noteIds
+        .map(id => notes.get(id))
+        .filter((n): n is Note => n !== undefined);
+      const headHtml = getHeadHtml(seoProcessor.getPageMetadata(`#${tagNode.tag}`, `/tags/${tagNode.slug}`, `${tagNotes.length} ${tagNotes.length === 1 ? 'note' : 'notes'} tagged #${tagNode.tag}`));
+      const tagHtml = generateTagPageHTML(tagNode, tagNotes, tagProcessor, config.title, basePath, headHtml, getFolderTreeHtml());
 
-      const baseFileName = `${path.basename(base.relativePath, '.base').toLowerCase()}.html`;
-      const baseFilePath = path.join(baseDir, baseFileName);
+      await this.writeOutput(outputPath, `tags/${tagNode.slug}.html`, tagHtml);
+      pageFiles.add(`tags/${tagNode.slug}.html`);
+    }
+
+    // Generate redirect pages at alias URLs (in the note's folder), so that links to
+    // a note's former name keep working after it is renamed. They come last, so that
+    // they are checked against every other page.
+    const markdownProcessor = this.vaultProcessor.getMarkdownProcessor();
+    const redirectFiles = new Set<string>();
+    for (const note of notes.values()) {
+      for (const alias of note.aliases) {
+        const aliasId = markdownProcessor.generateNoteId(note.folderPath ? `${note.folderPath}/${alias}` : alias);
+        const redirectFile = `${aliasId}.html`;
+        if (!aliasId || aliasId === note.id || redirectFiles.has(redirectFile)) continue;
+
+        if (pageFiles.has(redirectFile)) {
+          console.warn(`⚠️  Alias "${alias}" of ${note.relativePath} has the same URL as another page (${redirectFile}), no redirect generated`);
+          continue;
+        }
 
-      await fs.writeFile(baseFilePath, baseHtml);
+        redirectFiles.add(redirectFile);
+        await this.writeOutput(outputPath, redirectFile, generateRedirectHTML(`${basePath}/${note.id}`, note.title));
+      }
     }
   }
 
@@ -256,29 +458,39 @@ export class SiteGenerator {
    */
   private async generateDataFiles(
     vaultStructure: VaultStructure,
-    outputPath: string
+    outputPath: string,
+    config: SiteConfig
   ): Promise<void> {
-    const dataDir = path.join(outputPath, 'data');
-    await fs.ensureDir(dataDir);
-
     const { notes, bases, linkGraph, categories, tags, folderStructure } = vaultStructure;
 
-    // Convert maps to objects for JSON serialization
+    // The manifest (data/notes.json) describes every note without its content, which each note
+    // has in its own data file (data/notes/<id>.json) for the client to load on demand: first
+    // paint doesn't depend on the vault size. Properties stay in the manifest for bases to filter on.
     const notesObject: Record<string, any> = {};
-    notes.forEach((note, id) => {
+    this.noteData = {};
+    for (const [id, note] of notes) {
       notesObject[id] = {
         id: note.id,
         title: note.title,
-        html: note.html,
-        frontMatterHtml: note.frontMatterHtml,
-        content: note.content.substring(0, 500), // Truncate for search
         links: note.links,
         backlinks: note.backlinks,
         frontMatter: note.frontMatter,
+        tags: note.tags, // Frontmatter and inline tags
+        aliases: note.aliases,
+        headings: note.headings, // For the command palette
+        relativePath: note.relativePath, // For path: and file: search operators
         fileStats: note.fileStats, // Include file statistics
         folderPath: note.folderPath // Include folder path for image resolution
       };
-    });
+
+      this.noteData[id] = {
+        html: note.html,
+        frontMatterHtml: note.frontMatterHtml,
+        content: note.content,
+        unlinkedMentions: note.unlinkedMentions || [] // For the backlinks panel
+      };
+      await this.writeOutput(outputPath, this.getNoteDataFile(id), JSON.stringify(this.noteData[id]));
+    }
 
     const linkGraphObject: Record<string, string[]> = {};
     linkGraph.forEach((targets, source) => {
@@ -307,35 +519,35 @@ export class SiteGenerator {
         views: base.views,
         properties: base.properties,
         formulas: base.formulas,
-        matchedNotes: base.matchedNotes?.map(note => note.id) || []
+        matchedNotes: base.matchedNotes?.map(note => note.id) || [],
+        // Values of the formulas for each matched note, computed by BaseProcessor
+        formulaResults: base.formulas && base.formulas.length > 0
+          ? Object.fromEntries((base.matchedNotes || []).map(note => [note.id, note.frontMatter.computed || {}]))
+          : undefined
       };
     });
 
+    this.siteData = {
+      notes: notesObject,
+      bases: basesObject,
+      linkGraph: linkGraphObject,
+      categories: categoriesObject,
+      tags: tagsObject,
+      folderStructure: folderStructure,
+      // Options of the client
+      settings: {
+        stackedNotes: config.stackedNotes === true
+      }
+    };
+
     // Write data files
-    await fs.writeFile(
-      path.join(dataDir, 'notes.json'),
-      JSON.stringify({
-        notes: notesObject,
-        bases: basesObject,
-        linkGraph: linkGraphObject,
-        categories: categoriesObject,
-        tags: tagsObject,
-        folderStructure: folderStructure
-      }, null, 2)
-    );
+    await this.writeOutput(outputPath, 'data/notes.json', JSON.stringify(this.siteData, null, 2));
 
-    // Generate search index
-    const searchIndex = Array.from(notes.values()).map(note => ({
-      id: note.id,
-      title: note.title,
-      content: note.content.substring(0, 1000),
-      url: `${note.id}.html`
-    }));
-
-    await fs.writeFile(
-      path.join(dataDir, 'search.json'),
-      JSON.stringify(searchIndex, null, 2)
-    );
+    // Generate the full-text search index
+    const searchIndex = new SearchIndexer().buildIndex(Array.from(notes.values()));
+    for (const [file, content] of searchIndex) {
+      await this.writeOutput(outputPath, file, content);
+    }
   }
 
   /**
@@ -438,25 +650,173 @@ export class SiteGenerator {
   }
 
   /**
-   * Generate a simple sitemap
+   * Output file of a base page, in the base's folder just like notes (e.g. "projects/tasks.html")
+   */
+  private getBaseOutputFile(base: Base): string {
+    return path.join(base.folderPath.toLowerCase(), `${path.basename(base.relativePath, '.base').toLowerCase()}.html`);
+  }
+
+  /**
+   * Data file with the content of a note, relative to the output directory
+   */
+  private getNoteDataFile(noteId: string): string {
+    return `data/notes/${noteId}.json`;
+  }
+
+  /**
+   * Last modification date of a note: the latest of its frontmatter dates, else its file modification time
+   */
+  private getLastModified(note: Note): Date | undefined {
+    const dates = LASTMOD_PROPERTIES
+      .map(property => note.frontMatter[property])
+      .filter(value => value instanceof Date || typeof value === 'string' || typeof value === 'number')
+      .map(value => new Date(value))
+      .filter(date => !isNaN(date.getTime()));
+
+    if (dates.length > 0) {
+      return new Date(Math.max(...dates.map(date => date.getTime())));
+    }
+    return note.fileStats?.mtime ? new Date(note.fileStats.mtime) : undefined;
+  }
+
+  /**
+   * Generate sitemap.xml with the note, base and index pages. Sitemaps only take absolute
+   * URLs, so it is only generated when `siteUrl` is configured. `noindex` notes are left out.
    */
   private async generateSitemap(
     vaultStructure: VaultStructure,
     outputPath: string,
-    baseUrl: string = ''
+    config: SiteConfig
   ): Promise<void> {
-    const { notes } = vaultStructure;
+    const siteUrl = getSiteUrl(config);
+    if (!siteUrl) return;
+
+    const { notes, bases, categories, tags } = vaultStructure;
+    const seoProcessor = new SeoProcessor(config);
+    const indexedNotes = Array.from(notes.values()).filter(note => !seoProcessor.isNoindex(note));
+
+    // An index page changes whenever one of the notes it lists does
+    const latest = (noteIds: string[]): Date | undefined => {
+      const times = noteIds
+        .map(id => notes.get(id))
+        .filter((n): n is Note => n !== undefined && !seoProcessor.isNoindex(n))
+        .map(n => this.getLastModified(n)?.getTime())
+        .filter((time): time is number => time !== undefined);
+      return times.length > 0 ? new Date(Math.max(...times)) : undefined;
+    };
+
+    const entries: Array<{ url: string; lastmod?: Date }> = [
+      { url: '/', lastmod: latest(indexedNotes.map(note => note.id)) },
+      ...indexedNotes.map(note => ({ url: `/${note.id}`, lastmod: this.getLastModified(note) }))
+    ];
+
+    for (const base of bases.values()) {
+      const stats = await fs.stat(base.path).catch(() => null);
+      const baseUrl = this.getBaseOutputFile(base).split(path.sep).join('/').replace(/\.html$/, '');
+      entries.push({ url: `/${baseUrl}`, lastmod: stats?.mtime });
+    }
+
+    // Generated category hubs (the others are notes)
+    const categoryProcessor = new CategoryProcessor(this.vaultProcessor.getMarkdownProcessor());
+    categories.forEach((memberIds, category) => {
+      if (categoryProcessor.findHubNote(category, vaultStructure.linkResolver)) return;
+      entries.push({ url: `/${categoryProcessor.getHubId(category)}`, lastmod: latest(memberIds) });
+    });
+
+    // Tag index and tag pages
+    const tagProcessor = new TagProcessor(config.basePath || '');
+    entries.push({ url: '/tags/', lastmod: latest(Array.from(tags.values()).flat()) });
+    tagProcessor.flattenTagTree(tagProcessor.buildTagTree(tags)).forEach(tagNode => {
+      entries.push({ url: `/tags/${tagNode.slug}`, lastmod: latest(tagNode.noteIds) });
+    });
 
     const sitemap = [
       '<?xml version="1.0" encoding="UTF-8"?>',
       '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
-      `  <url><loc>${baseUrl}/</loc></url>`,
-      ...Array.from(notes.values()).map(note =>
-        `  <url><loc>${baseUrl}/${note.id}.html</loc></url>`
-      ),
-      '</urlset>'
+      ...entries.map(entry => {
+        const loc = this.escapeXml(siteUrl + encodeURI(entry.url));
+        const lastmod = entry.lastmod ? `<lastmod>${entry.lastmod.toISOString().split('T')[0]}</lastmod>` : '';
+        return `  <url><loc>${loc}</loc>${lastmod}</url>`;
+      }),
+      '</urlset>',
+      ''
+    ].join('\n');
+
+    await this.writeOutput(outputPath, 'sitemap.xml', sitemap);
+  }
+
+  /**
+   * Generate robots.txt, pointing crawlers to the sitemap. `noindex` notes aren't disallowed: crawlers
+   * must fetch them to see their robots meta tag, or already indexed pages would stay in the index.
+   * Crawlers only read it at the root of the host, so it has no effect on sites hosted under a basePath.
+   */
+  private async generateRobotsTxt(outputPath: string, config: SiteConfig): Promise<void> {
+    const siteUrl = getSiteUrl(config);
+
+    const robots = [
+      'User-agent: *',
+      'Disallow:',
+      ...(siteUrl ? ['', `Sitemap: ${siteUrl}/sitemap.xml`] : []),
+      ''
     ].join('\n');
 
-    await fs.writeFile(path.join(outputPath, 'sitemap.xml'), sitemap);
+    await this.writeOutput(outputPath, 'robots.txt', robots);
+  }
+
+  /**
+   * The configured feeds that can be generated: feeds need a siteUrl for their absolute links, and a name
+   */
+  private getFeeds(config: SiteConfig): FeedConfig[] {
+    const feeds = config.feeds || [];
+    if (feeds.length === 0) return [];
+
+    if (!getSiteUrl(config)) {
+      console.warn('⚠️  Feeds need an absolute siteUrl, no feeds generated');
+      return [];
+    }
+
+    const names = new Set<string>();
+    return feeds.filter(feed => {
+      if (!feed.name) {
+        console.warn('⚠️  Feed without a name, skipped');
+        return false;
+      }
+      if (names.has(feed.name)) {
+        console.warn(`⚠️  Duplicate feed name "${feed.name}", skipped`);
+        return false;
+      }
+      names.add(feed.name);
+      return true;
+    });
+  }
+
+  /**
+   * Generate the Atom, RSS and JSON Feed files of each feed
+   */
+  private async generateFeeds(
+    vaultStructure: VaultStructure,
+    outputPath: string,
+    config: SiteConfig,
+    feeds: FeedConfig[]
+  ): Promise<void> {
+    const feedGenerator = new FeedGenerator(getSiteUrl(config)!, config);
+
+    for (const feed of feeds) {
+      for (const [outputFile, content] of feedGenerator.generateFeed(feed, vaultStructure)) {
+        await this.writeOutput(outputPath, outputFile, content);
+      }
+    }
+  }
+
+  /**
+   * Escape XML special characters
+   */
+  private escapeXml(text: string): string {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
   }
 }
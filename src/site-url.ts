@@ -0,0 +1,55 @@
+import { SiteConfig } from './types';
+
+/**
+ * Site URLs
+ *
+ * Absolute URLs of the pages of a site, for the sitemap, feeds and page metadata,
+ * from the `siteUrl` and `basePath` options.
+ */
+
+/**
+ * Absolute URL of the site root (siteUrl and basePath, without trailing slash),
+ * or null without a valid siteUrl
+ */
+export function getSiteUrl(config: SiteConfig): string | null {
+  if (!config.siteUrl || !/^https?:\/\/[^/]/.test(config.siteUrl)) return null;
+
+  const siteUrl = config.siteUrl.replace(/\/+$/, '');
+  const basePath = (config.basePath || '').replace(/\/+$/, '');
+  if (!basePath) return siteUrl;
+
+  // Accept a siteUrl whose path already ends with the basePath segments
+  // ("https://x.com/docs/blog" for "/blog", but not "https://x.com/docs-blog")
+  let pathSegments: string[];
+  try {
+    pathSegments = new URL(siteUrl).pathname.split('/').filter(segment => segment);
+  } catch {
+    return null;
+  }
+  const baseSegments = basePath.split('/').filter(segment => segment);
+  const endsWithBasePath = baseSegments.length <= pathSegments.length
+    && baseSegments.every((segment, index) => pathSegments[pathSegments.length - baseSegments.length + index] === segment);
+  return endsWithBasePath ? siteUrl : siteUrl + basePath;
+}
+
+/**
+ * Make a URL found in the site absolute. Root-relative URLs may or may not include the
+ * basePath (note and tag links do, embedded images don't), other relative URLs are relative to the page.
+ */
+export function toAbsoluteUrl(url: string, siteUrl: string, config: SiteConfig, pageUrl: string = `${siteUrl}/`): string {
+  if (!url || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+    return url;
+  }
+
+  try {
+    const basePath = (config.basePath || '').replace(/\/+$/, '');
+    if (url.startsWith('/')) {
+      return basePath && (url === basePath || url.startsWith(`${basePath}/`))
+        ? new URL(url, siteUrl).href
+        : new URL(siteUrl + url).href;
+    }
+    return new URL(url, pageUrl).href;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,150 @@
+import { Note } from './types';
+
+/**
+ * Tag Processor
+ *
+ * Builds the nested tag hierarchy used by the generated /tags/ pages and
+ * provides the URLs that tag pills link to.
+ */
+
+// Slug segment of the index pages, which tags can't use as is
+const RESERVED_TAG_SEGMENT = 'index';
+
+export interface TagNode {
+  name: string; // Last segment of the tag (e.g. "alpha" for "project/alpha")
+  tag: string; // Full tag path (e.g. "project/alpha")
+  slug: string;
+  noteIds: string[]; // Notes tagged with this tag or one of its nested tags
+  children: TagNode[];
+}
+
+export class TagProcessor {
+  private basePath: string;
+
+  constructor(basePath: string = '') {
+    this.basePath = basePath;
+  }
+
+  /**
+   * Generate a URL-friendly slug for a tag, keeping "/" for nested tags. The "index" segment
+   * is reserved for index pages (tags/index.html is the tag index): it becomes "~index", which
+   * no other tag produces.
+   */
+  generateTagSlug(tag: string): string {
+    return tag.toLowerCase()
+      .split('/')
+      .map(segment => segment.trim().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, '') || 'tag')
+      .map(segment => segment === RESERVED_TAG_SEGMENT ? `~${segment}` : segment)
+      .join('/');
+  }
+
+  /**
+   * URL of the page listing the notes of a tag
+   */
+  getTagUrl(tag: string): string {
+    return `${this.basePath}/tags/${this.generateTagSlug(tag)}`;
+  }
+
+  /**
+   * URL of the tag index page
+   */
+  getTagIndexUrl(): string {
+    return `${this.basePath}/tags/`;
+  }
+
+  /**
+   * Build the tag hierarchy from the tag index. Tags are grouped case-insensitively,
+   * and parent tags (e.g. "project" for "project/alpha") are created when missing.
+   */
+  buildTagTree(tags: Map<string, string[]>): TagNode[] {
+    const roots: TagNode[] = [];
+    const nodesBySlug = new Map<string, TagNode>();
+
+    // Sort so that the first spelling of a tag wins consistently
+    const sortedTags = Array.from(tags.keys()).sort((a, b) => a.localeCompare(b));
+
+    for (const tag of sortedTags) {
+      const segments = tag.split('/').filter(segment => segment.trim());
+      let siblings = roots;
+
+      segments.forEach((segment, index) => {
+        const path = segments.slice(0, index + 1).join('/');
+        const slug = this.generateTagSlug(path);
+
+        let node = nodesBySlug.get(slug);
+        if (!node) {
+          node = { name: segment, tag: path, slug, noteIds: [], children: [] };
+          nodesBySlug.set(slug, node);
+          siblings.push(node);
+        }
+
+        // Parent tags include the notes of their nested tags
+        for (const noteId of tags.get(tag) || []) {
+          if (!node.noteIds.includes(noteId)) {
+            node.noteIds.push(noteId);
+          }
+        }
+
+        siblings = node.children;
+      });
+    }
+
+    this.sortTagNodes(roots);
+    return roots;
+  }
+
+  /**
+   * Flatten the tag hierarchy into a list of all tag nodes
+   */
+  flattenTagTree(nodes: TagNode[]): TagNode[] {
+    return nodes.flatMap(node => [node, ...this.flattenTagTree(node.children)]);
+  }
+
+  /**
+   * Get the date shown for a note in tag listings (published, created, date or modification time)
+   */
+  getNoteDate(note: Note): Date | null {
+    const candidates = [note.frontMatter.published, note.frontMatter.created, note.frontMatter.date];
+
+    for (const candidate of candidates) {
+      if (candidate) {
+        const date = new Date(candidate);
+        if (!isNaN(date.getTime())) {
+          return date;
+        }
+      }
+    }
+
+    return note.fileStats?.mtime ? new Date(note.fileStats.mtime) : null;
+  }
+
+  /**
+   * Get a plain-text excerpt of a note's markdown content
+   */
+  getExcerpt(note: Note, length: number = 200): string {
+    const text = note.content
+      .replace(/```[\s\S]*?```/g, '')
+      .replace(/\$\$[\s\S]*?\$\$/g, '')
+      .replace(/!\[\[[^\]]*\]\]/g, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[\[[^\]|]+\|([^\]]+)\]\]/g, '$1')
+      .replace(/\[\[([^\]]+)\]\]/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/^\s*(#{1,6}\s+|(>\s*)+(\[![^\]]+\][+-]?)?|[-*+]\s+(\[.\]\s+)?|\d+\.\s+)/gm, '')
+      .replace(/\s\^[A-Za-z0-9-]+$/gm, '')
+      .replace(/[*_~`]|==/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text.length > length ? `${text.substring(0, length).trim()}…` : text;
+  }
+
+  /**
+   * Sort tag nodes (and their children) alphabetically
+   */
+  private sortTagNodes(nodes: TagNode[]): void {
+    nodes.sort((a, b) => a.name.localeCompare(b.name));
+    nodes.forEach(node => this.sortTagNodes(node.children));
+  }
+}
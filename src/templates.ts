@@ -1,5 +1,6 @@
 import * as lucideIcons from 'lucide-static';
-import { Base, BaseView, Note } from './types';
+import { Base, BaseView, FolderNode, Note, NoteHeading } from './types';
+import { TagNode, TagProcessor } from './tag-processor';
 
 /**
  * Generate a Lucide icon SVG
@@ -19,7 +20,7 @@ export function getLucideIcon(iconName: string, size = 16, className = ''): stri
         .replace(/<svg/, className && !iconSvg.includes('class=') ? `<svg class="${className}"` : '<svg');
 }
 
-export function generateMainTemplate(title: string = "Vault", basePath: string = ""): string {
+export function generateMainTemplate(title: string = "Vault", basePath: string = "", headHtml: string = "", folderTreeHtml: string = ""): string {
     return generateTemplate(title, title, basePath, `
         <article class="note-content" id="note-content">
             <h1>Welcome to your Obsidian vault</h1>
@@ -29,10 +30,10 @@ export function generateMainTemplate(title: string = "Vault", basePath: string =
                 <div id="backlinks-content"></div>
             </aside>
         </article>
-    `);
+    `, headHtml, folderTreeHtml);
 }
 
-export function generateBaseHTML(base: Base, vaultTitle: string = "Vault", basePath: string = "", markdownProcessor?: any): string {
+export function generateBaseHTML(base: Base, vaultTitle: string = "Vault", basePath: string = "", markdownProcessor?: any, headHtml: string = "", folderTreeHtml: string = ""): string {
     const baseContent = generateBaseTemplate(base, markdownProcessor);
     // Generate page title as "Base Title - Vault Title"
     const pageTitle = `${base.title} - ${vaultTitle}`;
@@ -41,30 +42,229 @@ export function generateBaseHTML(base: Base, vaultTitle: string = "Vault", baseP
         <article class="note-content base-page" id="note-content">
             ${baseContent}
         </article>
-    `);
+    `, headHtml, folderTreeHtml);
 }
 
-export function generateNoteHTML(noteContent: string, vaultTitle: string = "Vault", basePath: string = "", noteTitle?: string): string {
+export function generateNoteHTML(noteContent: string, vaultTitle: string = "Vault", basePath: string = "", noteTitle?: string, headHtml: string = "", folderTreeHtml: string = "", tocHtml: string = "", noteId: string = ""): string {
     // Generate page title as "Note Title - Vault Title" or just "Vault Title" if no note title
     const pageTitle = noteTitle ? `${noteTitle} - ${vaultTitle}` : vaultTitle;
 
     return generateTemplate(pageTitle, vaultTitle, basePath, `
-        <article class="note-content" id="note-content">
+        <article class="note-content" id="note-content"${noteId ? ` data-note-id="${escapeHtml(noteId)}"` : ''}>
             ${noteContent}
         </article>
-    `);
+    `, headHtml, folderTreeHtml, tocHtml);
+}
+
+export function generateCategoryHubHTML(category: string, listingHtml: string, vaultTitle: string = "Vault", basePath: string = "", headHtml: string = "", folderTreeHtml: string = ""): string {
+    return generateTemplate(`${escapeHtml(category)} - ${vaultTitle}`, vaultTitle, basePath, `
+        <article class="note-content category-page" id="note-content">
+            <h1 class="note-title">${escapeHtml(category)}</h1>
+            ${listingHtml}
+        </article>
+    `, headHtml, folderTreeHtml);
+}
+
+export function generateTagIndexHTML(tagTree: TagNode[], tagProcessor: TagProcessor, vaultTitle: string = "Vault", basePath: string = "", headHtml: string = "", folderTreeHtml: string = ""): string {
+    const tagCount = tagProcessor.flattenTagTree(tagTree).length;
+    const content = tagTree.length > 0
+        ? generateTagTree(tagTree, tagProcessor)
+        : '<p class="tag-empty">No tags found in this vault.</p>';
+
+    return generateTemplate(`Tags - ${vaultTitle}`, vaultTitle, basePath, `
+        <article class="note-content tag-page" id="note-content">
+            <h1 class="note-title">Tags</h1>
+            <p class="tag-summary">${tagCount} ${tagCount === 1 ? 'tag' : 'tags'}</p>
+            ${content}
+        </article>
+    `, headHtml, folderTreeHtml);
+}
+
+export function generateTagPageHTML(tagNode: TagNode, notes: Note[], tagProcessor: TagProcessor, vaultTitle: string = "Vault", basePath: string = "", headHtml: string = "", folderTreeHtml: string = ""): string {
+    // Breadcrumb through parent tags: All tags / project / alpha
+    const segments = tagNode.tag.split('/');
+    const breadcrumb = segments.map((segment, index) => {
+        const parentTag = segments.slice(0, index + 1).join('/');
+        return index === segments.length - 1
+            ? `<span class="tag-breadcrumb-current">${escapeHtml(segment)}</span>`
+            : `<a href="${tagProcessor.getTagUrl(parentTag)}">${escapeHtml(segment)}</a>`;
+    }).join('<span class="tag-breadcrumb-separator">/</span>');
+
+    const childTagsHtml = tagNode.children.length > 0
+        ? `<div class="tag-children">
+                ${tagNode.children.map(child => `<a href="${tagProcessor.getTagUrl(child.tag)}" class="tag">#${escapeHtml(child.tag)}<span class="tag-count">${child.noteIds.length}</span></a>`).join('')}
+            </div>`
+        : '';
+
+    // Most recent notes first
+    const sortedNotes = notes
+        .map(note => ({ note, date: tagProcessor.getNoteDate(note) }))
+        .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0) || a.note.title.localeCompare(b.note.title));
+
+    const notesHtml = sortedNotes.map(({ note, date }) => `
+                <li class="tag-note">
+                    <div class="tag-note-header">
+                        <a href="${basePath}/${note.id}" class="internal-link tag-note-title">${escapeHtml(note.title)}</a>
+                        ${date ? `<time class="tag-note-date" datetime="${date.toISOString()}">${formatTagDate(date)}</time>` : ''}
+                    </div>
+                    <p class="tag-note-excerpt">${escapeHtml(tagProcessor.getExcerpt(note))}</p>
+                </li>`).join('');
+
+    return generateTemplate(`#${tagNode.tag} - ${vaultTitle}`, vaultTitle, basePath, `
+        <article class="note-content tag-page" id="note-content">
+            <nav class="tag-breadcrumb">
+                <a href="${tagProcessor.getTagIndexUrl()}">All tags</a><span class="tag-breadcrumb-separator">/</span>${breadcrumb}
+            </nav>
+            <h1 class="note-title">#${escapeHtml(tagNode.tag)}</h1>
+            <p class="tag-summary">${notes.length} ${notes.length === 1 ? 'note' : 'notes'}</p>
+            ${childTagsHtml}
+            <ul class="tag-note-list">${notesHtml}
+            </ul>
+        </article>
+    `, headHtml, folderTreeHtml);
+}
+
+export function generateRedirectHTML(targetUrl: string, noteTitle: string): string {
+    const url = escapeHtml(targetUrl);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(noteTitle)}</title>
+    <link rel="canonical" href="${url}">
+    <meta name="robots" content="noindex">
+    <meta http-equiv="refresh" content="0; url=${url}">
+    <script>window.location.replace(${JSON.stringify(targetUrl)} + window.location.hash);</script>
+</head>
+<body>
+    <p>This note has moved to <a href="${url}">${escapeHtml(noteTitle)}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate the sidebar file tree with the same markup as the client (renderFolderTree),
+ * but with links, so that it works without JavaScript. The folders leading to the active
+ * note are expanded.
+ * @param baseUrls Page URL of each base, by base ID
+ */
+export function generateFolderTreeHTML(nodes: FolderNode[], basePath: string = "", baseUrls: Map<string, string> = new Map(), activeId?: string): string {
+    const expandedPaths = new Set(activeId ? findFolderPathsTo(nodes, activeId) || [] : []);
+
+    const renderNode = (node: FolderNode): string => {
+        if (node.type === 'folder') {
+            const folderId = `folder-${node.path.replace(/\//g, '-')}`;
+            const state = expandedPaths.has(node.path) ? 'expanded' : 'collapsed';
+            return `
+          <div class="folder-item folder ${state}" data-folder="${escapeHtml(node.path)}" onclick="toggleFolder('${escapeHtml(folderId)}')">
+            <button class="folder-toggle">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="svg-icon right-triangle"><path d="M3 8L12 17L21 8"></path></svg>
+            </button>
+            <span class="folder-name">${escapeHtml(node.name)}</span>
+          </div>
+          <div id="${escapeHtml(folderId)}" class="folder-content ${state}">
+            <div class="folder-children">${node.children.map(renderNode).join('')}
+            </div>
+          </div>`;
+        }
+
+        const noteId = node.noteId || '';
+        const baseUrl = baseUrls.get(noteId);
+        const classes = ['folder-item', 'file'];
+        if (noteId.startsWith('-')) {
+            classes.push('folder-index');
+        } else if (baseUrl) {
+            classes.push('base-file');
+        }
+        if (noteId === activeId) {
+            classes.push('active');
+        }
+
+        return `
+          <a href="${escapeHtml(baseUrl || `${basePath}/${noteId}`)}" class="${classes.join(' ')}" data-note-id="${escapeHtml(noteId)}" data-is-base="${baseUrl !== undefined}">
+            <span class="file-name">${escapeHtml(node.name)}</span>
+            ${baseUrl ? '<span class="base-pill">BASE</span>' : ''}
+          </a>`;
+    };
+
+    return nodes.map(renderNode).join('');
+}
+
+/**
+ * Generate the "On This Page" list of a note's headings, like the client-side table of contents
+ */
+export function generateTableOfContentsHTML(headings: NoteHeading[]): string {
+    if (headings.length === 0) {
+        return '';
+    }
+
+    return `<ul class="toc-list">${headings.map(heading => `
+                            <li class="toc-item level-${heading.level}"><a href="#${escapeHtml(heading.id)}" title="${escapeHtml(heading.text)}">${escapeHtml(heading.text)}</a></li>`).join('')}
+                        </ul>`;
+}
+
+/**
+ * Folder paths leading to a note or base in the file tree, or null if it isn't in it
+ */
+function findFolderPathsTo(nodes: FolderNode[], noteId: string, parentPaths: string[] = []): string[] | null {
+    for (const node of nodes) {
+        if (node.type === 'file' && node.noteId === noteId) {
+            return parentPaths;
+        }
+        if (node.type === 'folder') {
+            const found = findFolderPathsTo(node.children, noteId, [...parentPaths, node.path]);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+function generateTagTree(nodes: TagNode[], tagProcessor: TagProcessor): string {
+    return `<ul class="tag-tree">
+        ${nodes.map(node => `<li class="tag-tree-item">
+            <a href="${tagProcessor.getTagUrl(node.tag)}" class="tag">#${escapeHtml(node.name)}</a>
+            <span class="tag-count">${node.noteIds.length}</span>
+            ${node.children.length > 0 ? generateTagTree(node.children, tagProcessor) : ''}
+        </li>`).join('')}
+    </ul>`;
+}
+
+function formatTagDate(date: Date): string {
+    return new Intl.DateTimeFormat('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    }).format(date);
 }
 
-function generateTemplate(pageTitle: string, vaultTitle: string, basePath: string = "", mainContent: string): string {
+/**
+ * Escape HTML special characters, for text and attribute values
+ */
+export function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a complete page. `headHtml` is added to the <head> (feed links, page metadata),
+ * `folderTreeHtml` and `tocHtml` pre-render the sidebars so that pages work without JavaScript
+ */
+function generateTemplate(pageTitle: string, vaultTitle: string, basePath: string = "", mainContent: string, headHtml: string = "", folderTreeHtml: string = "", tocHtml: string = ""): string {
     // const timestamp = Date.now(); // Cache busting disabled for development
     return `<!DOCTYPE html>
-<html lang="en" data-base-path="${basePath}">
+<html lang="en" class="no-js" data-base-path="${basePath}">
 <head>
     <meta charset="UTF-8">
+    <script>document.documentElement.classList.remove('no-js');</script>
     <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=0, viewport-fit=cover">
     <title>${pageTitle}</title>
     <link rel="stylesheet" href="${basePath}/assets/main.css">
-    <link rel="stylesheet" href="${basePath}/assets/katex.min.css">
+    <link rel="stylesheet" href="${basePath}/assets/katex.min.css">${headHtml ? `\n    ${headHtml}` : ''}
 </head>
 
 <body class="theme-light" data-theme="light">
@@ -103,6 +303,9 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
                     </a>
                 </div>
                 <div class="sidebar-controls">
+                    <a href="${basePath}/tags/" class="icon-button sidebar-tags-link" title="Browse tags">
+                        ${getLucideIcon('Tags', 16)}
+                    </a>
                     <button id="sidebar-graph-toggle" class="icon-button sidebar-graph-button" title="Open graph view">
                         ${getLucideIcon('Network', 16)}
                     </button>
@@ -125,7 +328,7 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
                             ${getLucideIcon('TableOfContents', 14)}
                         </button>
                     </div>
-                    <div id="folder-tree" class="folder-tree"></div>
+                    <div id="folder-tree" class="folder-tree">${folderTreeHtml}</div>
                 </div>
             </div>
         </nav>
@@ -152,7 +355,7 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
                         <h3>On This Page</h3>
                     </div>
                     <div class="table-of-contents" id="table-of-contents">
-                        <div class="toc-placeholder">No headings found</div>
+                        ${tocHtml || '<div class="toc-placeholder">No headings found</div>'}
                     </div>
                 </div>
             </aside>
@@ -391,6 +594,20 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
                 </div>
             </div>
         </div>
+
+        <!-- Command palette (Ctrl/Cmd+K) -->
+        <div class="command-palette hidden" id="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+            <div class="command-palette-overlay"></div>
+            <div class="command-palette-content">
+                <input type="text" id="command-palette-input" placeholder="Go to a note, heading or base, or > for commands" autocomplete="off" spellcheck="false" role="combobox" aria-expanded="true" aria-controls="command-palette-results">
+                <ul class="command-palette-results" id="command-palette-results" role="listbox"></ul>
+                <div class="command-palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span>
+                    <span><kbd>↵</kbd> to open</span>
+                    <span><kbd>esc</kbd> to close</span>
+                </div>
+            </div>
+        </div>
     </div>
 
     <script src="${basePath}/assets/abcjs-basic-min.js"></script>
@@ -898,6 +1115,9 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
     </script>
     <script src="${basePath}/assets/d3.min.js"></script>
     <script src="${basePath}/assets/search.js"></script>
+    <script src="${basePath}/assets/command-palette.js"></script>
+    <script src="${basePath}/assets/page-preview.js"></script>
+    <script src="${basePath}/assets/stacked-notes.js"></script>
     <script src="${basePath}/assets/table-of-contents.js"></script>
     <script src="${basePath}/assets/graph.js"></script>
     <script src="${basePath}/assets/main.js"></script>
@@ -905,22 +1125,31 @@ function generateTemplate(pageTitle: string, vaultTitle: string, basePath: strin
 </html>`;
 }
 
-export function generateNoteTemplate(title: string, content: string, frontMatterHtml: string = '', backlinks: string[] = [], basePath: string = ''): string {
-    const backlinksHtml = backlinks.length > 0
-        ? `<div class="backlinks">
-         <h4>Backlinks</h4>
-         <ul>
-           ${backlinks.map(link => `<li><a href="${basePath}/${link}" class="internal-link">${link}</a></li>`).join('')}
-         </ul>
-       </div>`
-        : '';
+export function generateNoteTemplate(title: string, content: string, frontMatterHtml: string = '', backlinks: Note[] = [], basePath: string = ''): string {
+    // Same structure as the backlinks panel of the client (renderBacklinks), which adds the mentions
+    const linkedMentionsHtml = backlinks.length > 0
+        ? backlinks.map(note => `
+            <div class="backlinks-section">
+              <div class="backlinks-source">
+                <a href="${basePath}/${escapeHtml(note.id)}" class="backlinks-source-title" data-note-id="${escapeHtml(note.id)}">${escapeHtml(note.title)}</a>
+              </div>
+            </div>`).join('')
+        : '<div class="no-linked-mentions">No linked mentions found</div>';
 
     return `<h1 class="note-title">${title}</h1>
 ${frontMatterHtml ? frontMatterHtml : ''}
 <div class="note-body">
   ${content}
 </div>
-${backlinksHtml}`;
+<aside class="backlinks-panel" id="backlinks-panel">
+  <div id="backlinks-content">
+    <div class="backlinks-section-header">
+      <h3>Linked mentions <span class="backlinks-count">${backlinks.length}</span></h3>
+    </div>
+    <div id="linked-mentions-content" class="backlinks-section-content ${backlinks.length > 0 ? 'expanded' : 'collapsed'}">${linkedMentionsHtml}
+    </div>
+  </div>
+</aside>`;
 }
 
 export function generateBaseTemplate(base: Base, markdownProcessor: any): string {
@@ -963,6 +1192,7 @@ function generateCardsView(notes: Note[], view: BaseView): string {
             title: note.title,
             content: note.content,
             frontMatter: note.frontMatter,
+            tags: note.tags,
             fileStats: note.fileStats
         })),
         view: view,
@@ -1087,6 +1317,9 @@ function getColumnDisplayName(column: string): string {
         'file.ctime': 'Created',
     };
 
+    if (column.startsWith('formula.')) {
+        return column.substring('formula.'.length);
+    }
     return displayNames[column] || column;
 }
 
@@ -1102,9 +1335,7 @@ function getColumnValue(note: Note, column: string, basePath: string = ''): stri
             return getFileSize(note);
 
         case 'file.tags':
-            const tags = note.frontMatter.tags || [];
-            const tagList = Array.isArray(tags) ? tags : [tags];
-            return tagList.filter(tag => tag && tag.trim()).map(tag => `<span class="tag">${tag.trim()}</span>`).join('');
+            return note.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
 
         case 'file.mtime':
             const mtime = getFileModificationTime(note);
@@ -1119,23 +1350,24 @@ function getColumnValue(note: Note, column: string, basePath: string = ''): stri
             return starred ? '⭐' : '';
 
         default:
-            // Check for computed properties first
-            if (note.frontMatter.computed && note.frontMatter.computed[column]) {
-                const value = note.frontMatter.computed[column];
-                if (typeof value === 'number') {
-                    return formatNumber(value);
-                }
-                return String(value);
-            }
-
-            // Custom property from frontmatter
-            const value = note.frontMatter[column];
+            // Formula columns (formula.<name>) show the values computed by BaseProcessor,
+            // other columns the frontmatter property
+            const isFormula = column.startsWith('formula.');
+            const computed = note.frontMatter.computed || {};
+            const formulaName = column.substring('formula.'.length);
+            const value = isFormula
+                ? (Object.prototype.hasOwnProperty.call(computed, formulaName) ? computed[formulaName] : undefined)
+                : note.frontMatter[column];
             if (value === undefined || value === null) return '';
 
+            if (isFormula && typeof value === 'object' && !Array.isArray(value) && 'error' in value) {
+                return `<span class="formula-error" title="${escapeHtml(value.error)}">Error</span>`;
+            }
+
             // Handle different value types
             if (Array.isArray(value)) {
                 if (value.every(item => typeof item === 'string')) {
-                    return value.filter(item => item && item.trim()).map(item => `<span class="tag">${item.trim()}</span>`).join('');
+                    return value.filter(item => item && item.trim()).map(item => `<span class="tag">${escapeHtml(item.trim())}</span>`).join('');
                 }
                 return value.join(', ');
             }
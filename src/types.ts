@@ -1,13 +1,19 @@
+import type { LinkResolver } from './link-resolver';
+
 export interface FrontMatter {
   [key: string]: any;
   categories?: string[];
   tags?: string[];
+  aliases?: string[];
   created?: string;
   url?: string;
   author?: string[];
   published?: string;
   topics?: string[];
   status?: string[];
+  noindex?: boolean; // Keep the note out of search engines (sitemap and robots meta tag)
+  description?: string; // Page description for search engines and link previews
+  image?: string; // Preview image for link previews (URL, path relative to the note or [[embed]])
 }
 
 export interface Note {
@@ -22,6 +28,11 @@ export interface Note {
   html: string;
   links: string[];
   backlinks: string[];
+  tags: string[]; // Frontmatter and inline #tags, without the leading #
+  aliases: string[]; // Alternative names from the `aliases` (or legacy `alias`) frontmatter, usable in [[links]]
+  headings: NoteHeading[]; // Headings with their anchor IDs, in document order
+  blockIds: string[]; // ^block-id anchors defined in the note (without the caret)
+  unlinkedMentions?: UnlinkedMention[]; // Notes mentioning this one by title or alias without linking to it
   // File statistics
   fileStats?: {
     size: number;
@@ -30,6 +41,25 @@ export interface Note {
   };
 }
 
+// Plain text mentions of a note in another note (computed by VaultProcessor)
+export interface UnlinkedMention {
+  noteId: string; // The mentioning note
+  snippets: MentionSnippet[];
+}
+
+// A mention in the context of its line
+export interface MentionSnippet {
+  before: string;
+  match: string;
+  after: string;
+}
+
+export interface NoteHeading {
+  level: number;
+  text: string;
+  id: string;
+}
+
 export interface FolderNode {
   name: string;
   path: string;
@@ -38,6 +68,16 @@ export interface FolderNode {
   noteId?: string;
 }
 
+// The rendering of a note's markdown, which only depends on its content (cached between builds)
+export interface RenderedMarkdown {
+  html: string;
+  frontMatterHtml: string;
+  links: string[];
+  tags: string[];
+  headings: NoteHeading[];
+  blockIds: string[];
+}
+
 export interface VaultStructure {
   notes: Map<string, Note>;
   bases: Map<string, Base>;
@@ -45,6 +85,7 @@ export interface VaultStructure {
   categories: Map<string, string[]>;
   tags: Map<string, string[]>;
   folderStructure: FolderNode[];
+  linkResolver: LinkResolver; // Resolves [[links]] and ![[embeds]] to notes and bases
 }
 
 export interface SiteConfig {
@@ -63,6 +104,35 @@ export interface SiteConfig {
   // Legacy support - will be deprecated
   cssVariables?: Record<string, string>;
   theme?: 'light' | 'dark' | 'auto';
+  callouts?: Record<string, CalloutDefinition>; // Custom callout types, keyed by type name (e.g. "recipe")
+  include?: string[]; // Glob patterns (relative to the vault) of files to publish. Defaults to everything
+  exclude?: string[]; // Glob patterns (relative to the vault) of files never to publish (e.g. "Templates/**")
+  description?: string; // Site description, for the metadata of pages without their own
+  siteUrl?: string; // Absolute URL the site is hosted at (e.g. "https://example.com"), for the sitemap and other absolute links
+  feeds?: FeedConfig[]; // Atom, RSS and JSON feeds of recent notes (needs siteUrl)
+  stackedNotes?: boolean; // Open internal links in stacked panes next to the note by default. Readers can toggle it
+}
+
+export interface ProcessorOptions {
+  quiet?: boolean; // Don't print progress messages on stdout. Warnings still go to stderr
+}
+
+export interface FeedConfig {
+  name: string; // File name of the feed in feeds/ (e.g. "changelog" for feeds/changelog.atom.xml, .rss.xml and .json)
+  title?: string; // Defaults to the site title
+  description?: string;
+  folder?: string; // Only notes in this folder or its subfolders
+  tag?: string; // Only notes with this tag or one of its nested tags
+  base?: string; // Only notes matched by this base
+  limit?: number; // Maximum number of entries (default: 20)
+  content?: 'full' | 'summary'; // Note HTML, or the `description` frontmatter or an excerpt (default: full)
+}
+
+export interface CalloutDefinition {
+  icon?: string; // Lucide icon name (e.g. "Flame")
+  color?: string; // Any CSS color (e.g. "#00bfbc")
+  title?: string; // Default title when the callout has none
+  aliases?: string[];
 }
 
 // Base (database) related types
@@ -147,6 +217,11 @@ export interface BaseFormula {
   format?: string;
 }
 
+// The value of a formula cell whose formula failed for the note
+export interface FormulaCellError {
+  error: string;
+}
+
 export interface Base {
   id: string;
   title: string;
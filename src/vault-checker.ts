@@ -0,0 +1,253 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { VaultProcessor } from './vault-processor';
+import { Note, ProcessorOptions, SiteConfig, VaultStructure } from './types';
+
+/**
+ * Vault Checker
+ *
+ * Reports problems that would otherwise only show up in the generated site:
+ * broken links, missing embeds and images, ambiguous titles, orphan notes and
+ * bases whose filters match nothing.
+ */
+
+export type HealthIssueType =
+  | 'broken-link'
+  | 'missing-embed'
+  | 'missing-image'
+  | 'ambiguous-title'
+  | 'orphan-note'
+  | 'empty-base';
+
+export interface HealthIssue {
+  type: HealthIssueType;
+  severity: 'error' | 'warning';
+  file: string; // Vault-relative path of the note or base with the issue
+  target?: string; // The link, embed or title at fault
+  message: string;
+}
+
+export interface HealthReport {
+  vaultPath: string;
+  noteCount: number;
+  baseCount: number;
+  errors: number;
+  warnings: number;
+  issues: HealthIssue[];
+}
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'];
+
+const ISSUE_LABELS: Record<HealthIssueType, string> = {
+  'broken-link': '🔗 Broken links',
+  'missing-embed': '📎 Missing embeds',
+  'missing-image': '🖼️ Missing images',
+  'ambiguous-title': '👯 Ambiguous titles',
+  'orphan-note': '🏝️ Orphan notes',
+  'empty-base': '🗄️ Bases matching no notes'
+};
+
+export class VaultChecker {
+  private vaultProcessor: VaultProcessor;
+
+  constructor(options: ProcessorOptions = {}) {
+    this.vaultProcessor = new VaultProcessor(options);
+  }
+
+  /**
+   * Process a vault and collect its health issues
+   */
+  async check(vaultPath: string, config?: SiteConfig): Promise<HealthReport> {
+    const vaultStructure = await this.vaultProcessor.processVault(vaultPath, config);
+    const { notes, bases } = vaultStructure;
+
+    const issues: HealthIssue[] = [];
+    for (const note of notes.values()) {
+      issues.push(...this.checkLinks(note, vaultStructure));
+      issues.push(...await this.checkEmbeds(note, vaultStructure, vaultPath));
+    }
+    issues.push(...this.checkAmbiguousTitles(notes));
+    issues.push(...this.checkOrphans(vaultStructure));
+
+    bases.forEach(base => {
+      if (!base.matchedNotes?.length) {
+        issues.push({
+          type: 'empty-base',
+          severity: 'warning',
+          file: base.relativePath,
+          message: 'Filters match no notes'
+        });
+      }
+    });
+
+    return {
+      vaultPath,
+      noteCount: notes.size,
+      baseCount: bases.size,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      issues
+    };
+  }
+
+  /**
+   * Format a report for the terminal, grouping issues by type
+   */
+  formatText(report: HealthReport): string {
+    const lines: string[] = [`🩺 Checked ${report.noteCount} notes and ${report.baseCount} bases`];
+
+    (Object.keys(ISSUE_LABELS) as HealthIssueType[]).forEach(type => {
+      const issues = report.issues.filter(issue => issue.type === type);
+      if (issues.length === 0) return;
+
+      lines.push('', `${ISSUE_LABELS[type]} (${issues.length})`);
+      issues.forEach(issue => {
+        const target = issue.target ? ` ${issue.target}:` : '';
+        lines.push(`   ${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.file}:${target} ${issue.message}`);
+      });
+    });
+
+    lines.push('', `${report.errors} error${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Links that don't resolve to a note (links to category hubs are generated pages)
+   */
+  private checkLinks(note: Note, vaultStructure: VaultStructure): HealthIssue[] {
+    const { categories, linkResolver } = vaultStructure;
+
+    // Embeds are also in note.links, but they are reported by checkEmbeds
+    const linkTargets = new Set(
+      Array.from(this.stripCode(note.content).matchAll(/(?<!!)\[\[([^\]|#]+)/g), match => match[1].trim())
+    );
+
+    return note.links
+      .filter(linkText => linkTargets.has(linkText))
+      .filter(linkText => !linkResolver.resolve(linkText, note.folderPath))
+      .filter(linkText => !categories.has(linkText) && !this.isImage(linkText) && !linkText.endsWith('.base'))
+      .map(linkText => ({
+        type: 'broken-link' as const,
+        severity: 'error' as const,
+        file: note.relativePath,
+        target: `[[${linkText}]]`,
+        message: 'No note with this name'
+      }));
+  }
+
+  /**
+   * Note and base embeds that don't resolve, and embedded images missing from the vault
+   */
+  private async checkEmbeds(note: Note, vaultStructure: VaultStructure, vaultPath: string): Promise<HealthIssue[]> {
+    const issues: HealthIssue[] = [];
+    const { linkResolver } = vaultStructure;
+    const content = this.stripCode(note.content);
+
+    for (const match of content.matchAll(/!\[\[([^\]|#]+)[^\]]*\]\]/g)) {
+      const link = match[1].trim();
+
+      if (this.isImage(link)) {
+        // Images are served from the note's folder (see MarkdownProcessor.processObsidianSyntax)
+        if (!await fs.pathExists(path.join(vaultPath, note.folderPath, link))) {
+          issues.push({ type: 'missing-image', severity: 'error', file: note.relativePath, target: link, message: 'Image not found' });
+        }
+        continue;
+      }
+
+      if (!linkResolver.resolve(link, note.folderPath) && !linkResolver.resolveBase(link, note.folderPath)) {
+        issues.push({ type: 'missing-embed', severity: 'error', file: note.relativePath, target: `![[${link}]]`, message: 'No note or base with this name' });
+      }
+    }
+
+    // Markdown images with a local path, relative to the note
+    for (const match of content.matchAll(/!\[[^\]]*\]\(<?([^)\s>]+)>?[^)]*\)/g)) {
+      const src = match[1];
+      if (/^[a-z]+:/i.test(src) || src.startsWith('/')) continue;
+
+      const imagePath = path.join(vaultPath, note.folderPath, decodeURI(src));
+      if (!await fs.pathExists(imagePath)) {
+        issues.push({ type: 'missing-image', severity: 'error', file: note.relativePath, target: src, message: 'Image not found' });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Titles shared by several notes, which [[Title]] links resolve to only one of
+   */
+  private checkAmbiguousTitles(notes: Map<string, Note>): HealthIssue[] {
+    const notesByTitle = new Map<string, Note[]>();
+    notes.forEach(note => {
+      notesByTitle.set(note.title, [...(notesByTitle.get(note.title) || []), note]);
+    });
+
+    const issues: HealthIssue[] = [];
+    notesByTitle.forEach((sameTitle, title) => {
+      if (sameTitle.length < 2) return;
+      sameTitle.forEach(note => {
+        const others = sameTitle.filter(other => other !== note).map(other => other.relativePath);
+        issues.push({
+          type: 'ambiguous-title',
+          severity: 'warning',
+          file: note.relativePath,
+          target: title,
+          message: `Same title as ${others.join(', ')}`
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Notes that neither link to nor are linked from any other note. Category members are
+   * listed on their category hub, which counts as a link both ways.
+   */
+  private checkOrphans(vaultStructure: VaultStructure): HealthIssue[] {
+    const { notes, linkGraph, categories, linkResolver } = vaultStructure;
+
+    const linked = new Set<string>();
+    linkGraph.forEach((targets, source) => {
+      targets.forEach(target => {
+        if (target !== source) {
+          linked.add(source);
+          linked.add(target);
+        }
+      });
+    });
+    categories.forEach((memberIds, category) => {
+      const hubNote = linkResolver.resolve(category);
+      memberIds.forEach(memberId => {
+        if (hubNote && hubNote.id === memberId) return;
+        linked.add(memberId);
+        if (hubNote) {
+          linked.add(hubNote.id);
+        }
+      });
+    });
+
+    return Array.from(notes.values())
+      .filter(note => !linked.has(note.id))
+      .map(note => ({
+        type: 'orphan-note' as const,
+        severity: 'warning' as const,
+        file: note.relativePath,
+        message: 'No links to or from other notes'
+      }));
+  }
+
+  /**
+   * Remove code blocks and inline code, where [[links]] are only examples
+   */
+  private stripCode(content: string): string {
+    return content.replace(/```[\s\S]*?```/g, '').replace(/`[^`]+`/g, '');
+  }
+
+  /**
+   * Check if a link is an image file
+   */
+  private isImage(link: string): boolean {
+    return IMAGE_EXTENSIONS.some(ext => link.toLowerCase().endsWith(ext));
+  }
+}
@@ -3,15 +3,37 @@ import path from 'path';
 import { glob } from 'glob';
 import { MarkdownProcessor } from './markdown-processor';
 import { BaseProcessor } from './base-processor';
-import { Note, VaultStructure, SiteConfig, FolderNode, Base } from './types';
+import { CategoryProcessor } from './category-processor';
+import { LinkResolver } from './link-resolver';
+import { BuildCache } from './build-cache';
+import { Note, VaultStructure, SiteConfig, FolderNode, Base, MentionSnippet, ProcessorOptions } from './types';
+
+// Titles and aliases shorter than this would be mentioned everywhere
+const MIN_MENTION_LENGTH = 3;
+const MAX_MENTION_SNIPPETS = 5; // Per mentioning note
+const MENTION_CONTEXT_LENGTH = 80; // Characters of context on each side of a mention
+
+// Text where a mention wouldn't be unlinked: wiki links and embeds, markdown links and images,
+// inline code, HTML tags, URLs, #tags and %% comments %%
+const MENTION_MASK_PATTERN = /!?\[\[[^\]]*\]\]|!?\[[^\]]*\]\([^)]*\)|`[^`]*`|<[^>]*>|https?:\/\/\S+|(?<!\S)#[^\s#]+|%%.*?%%/g;
 
 export class VaultProcessor {
   private markdownProcessor: MarkdownProcessor;
   private baseProcessor: BaseProcessor;
+  private categoryProcessor: CategoryProcessor;
+  private quiet: boolean;
 
-  constructor() {
-    this.markdownProcessor = new MarkdownProcessor();
+  constructor(options: ProcessorOptions = {}) {
+    this.quiet = options.quiet ?? false;
+    this.markdownProcessor = new MarkdownProcessor(options);
     this.baseProcessor = new BaseProcessor();
+    this.categoryProcessor = new CategoryProcessor(this.markdownProcessor);
+  }
+
+  private log(message: string) {
+    if (!this.quiet) {
+      console.log(message);
+    }
   }
 
   /**
@@ -22,13 +44,30 @@ export class VaultProcessor {
   }
 
   /**
-   * Process an entire Obsidian vault directory
+   * Absolute paths of the vault files matching the include/exclude globs
    */
-  async processVault(vaultPath: string): Promise<VaultStructure> {
+  async findPublishedFiles(vaultPath: string, config?: SiteConfig): Promise<Set<string>> {
+    return new Set(await glob(config?.include?.length ? config.include : '**/*', {
+      cwd: vaultPath,
+      absolute: true,
+      nodir: true,
+      ignore: config?.exclude || []
+    }));
+  }
+
+  /**
+   * Process an entire Obsidian vault directory. With a build cache, notes whose
+   * content is unchanged since the previous build reuse their rendered markdown.
+   */
+  async processVault(vaultPath: string, config?: SiteConfig, buildCache?: BuildCache): Promise<VaultStructure> {
     // Initialize the markdown processor (including Shiki)
     await this.markdownProcessor.initialize();
+    if (config) {
+      this.markdownProcessor.configure(config);
+    }
 
     const notes = new Map<string, Note>();
+    const excludedNotes = new Map<string, Note>();
     const bases = new Map<string, Base>();
     const linkGraph = new Map<string, Set<string>>();
     const categories = new Map<string, string[]>();
@@ -40,17 +79,35 @@ export class VaultProcessor {
       absolute: true
     });
 
+    // Find the files to publish, restricted by the include/exclude globs
+    const publishedFiles = await this.findPublishedFiles(vaultPath, config);
+
     // Find all base files
-    const baseFiles = await glob('**/*.base', {
+    const baseFiles = (await glob('**/*.base', {
       cwd: vaultPath,
       absolute: true
-    });
+    })).filter(filePath => publishedFiles.has(filePath));
 
     // Process each markdown file
+    let cachedNoteCount = 0;
     for (const filePath of markdownFiles) {
       try {
         const content = await fs.readFile(filePath, 'utf-8');
-        const note = this.markdownProcessor.processMarkdown(filePath, content, vaultPath);
+        const relativePath = path.relative(vaultPath, filePath);
+        const rendered = buildCache?.getNote(relativePath, content);
+        const note = this.markdownProcessor.processMarkdown(filePath, content, vaultPath, undefined, rendered);
+
+        if (rendered) {
+          cachedNoteCount++;
+        } else {
+          buildCache?.setNote(relativePath, content, note);
+        }
+
+        // Keep unpublished notes aside, so links to them can be rendered as plain text
+        if (!publishedFiles.has(filePath) || !this.isPublished(note)) {
+          excludedNotes.set(note.id, note);
+          continue;
+        }
 
         notes.set(note.id, note);
 
@@ -64,7 +121,7 @@ export class VaultProcessor {
             : [note.frontMatter.categories];
 
           categoryList.forEach(category => {
-            const cleanCategory = this.cleanWikiLink(category);
+            const cleanCategory = this.categoryProcessor.cleanCategory(category);
             if (!categories.has(cleanCategory)) {
               categories.set(cleanCategory, []);
             }
@@ -72,26 +129,28 @@ export class VaultProcessor {
           });
         }
 
-        // Index tags
-        if (note.frontMatter.tags) {
-          const tagList = Array.isArray(note.frontMatter.tags)
-            ? note.frontMatter.tags
-            : [note.frontMatter.tags];
-
-          tagList.forEach(tag => {
-            if (!tags.has(tag)) {
-              tags.set(tag, []);
-            }
-            tags.get(tag)?.push(note.id);
-          });
-        }
+        // Index tags (frontmatter and inline #tags)
+        note.tags.forEach(tag => {
+          if (!tags.has(tag)) {
+            tags.set(tag, []);
+          }
+          tags.get(tag)?.push(note.id);
+        });
       } catch (error) {
         console.warn(`Failed to process file ${filePath}:`, error);
       }
     }
 
+    if (cachedNoteCount > 0) {
+      this.log(`⚡ Reused ${cachedNoteCount} unchanged note${cachedNoteCount === 1 ? '' : 's'} from the build cache`);
+    }
+
+    if (excludedNotes.size > 0) {
+      this.log(`🙈 Excluded ${excludedNotes.size} unpublished note${excludedNotes.size === 1 ? '' : 's'}`);
+    }
+
     // Process base files
-    console.log('🗄️ Processing base files...');
+    this.log('🗄️ Processing base files...');
     for (const filePath of baseFiles) {
       try {
         const content = await fs.readFile(filePath, 'utf-8');
@@ -110,29 +169,61 @@ export class VaultProcessor {
       }
     }
 
-    // Generate backlinks
-    this.markdownProcessor.generateBacklinks(notes);
+    // Index notes and bases once, for every link and embed lookup below
+    const linkResolver = new LinkResolver(linkText => this.markdownProcessor.generateNoteId(linkText))
+      .build(notes, bases, excludedNotes);
 
-    // Resolve embedded notes now that all notes are processed
-    console.log('🔗 Resolving embedded notes...');
+    // Forget links to unpublished notes, so that they don't leak into the data files
     notes.forEach(note => {
-      note.html = this.markdownProcessor.resolveEmbeddedNotes(note.html, notes, bases);
+      note.links = note.links.filter(linkText => !linkResolver.isExcluded(linkText, note.folderPath));
     });
 
+    // Generate backlinks
+    this.markdownProcessor.generateBacklinks(notes, linkResolver);
+
+    // Find mentions of notes without links, from the markdown before links are rendered
+    this.log('🔎 Finding unlinked mentions...');
+    this.findUnlinkedMentions(notes);
+
     // Fix wiki link paths now that all notes are processed
-    console.log('🔗 Fixing wiki link paths...');
+    // (before embedding, so that embedded content carries already-fixed links)
+    this.log('🔗 Fixing wiki link paths...');
     notes.forEach(note => {
-      note.html = this.markdownProcessor.fixWikiLinks(note.html, notes);
+      note.html = this.markdownProcessor.fixWikiLinks(note.html, linkResolver, note);
+    });
+
+    // Resolve embedded notes now that all notes are processed
+    // (every note embeds the unresolved HTML of others, nested embeds are resolved recursively)
+    this.log('🔗 Resolving embedded notes...');
+    const resolvedHtml = new Map<string, string>();
+    notes.forEach(note => {
+      resolvedHtml.set(note.id, this.markdownProcessor.resolveEmbeddedNotes(note.html, linkResolver, [note.id]));
+    });
+    resolvedHtml.forEach((html, noteId) => {
+      notes.get(noteId)!.html = html;
+    });
+
+    // Extend category hub notes (notes named after a category) with their member listing;
+    // categories without such a note get a generated hub page in SiteGenerator
+    this.log('🗂️ Building category hubs...');
+    categories.forEach((memberIds, category) => {
+      const hubNote = this.categoryProcessor.findHubNote(category, linkResolver);
+      if (hubNote) {
+        const members = memberIds
+          .map(id => notes.get(id))
+          .filter((n): n is Note => n !== undefined);
+        hubNote.html += this.categoryProcessor.generateCategoryListing(category, members);
+      }
     });
 
     // Build link graph now that all notes are processed
-    console.log('🔗 Building link graph...');
+    this.log('🔗 Building link graph...');
     notes.forEach(note => {
       const resolvedLinks = new Set<string>();
       note.links.forEach(linkText => {
-        const resolvedId = this.resolveLinkToNoteId(linkText, notes, note);
-        if (resolvedId) {
-          resolvedLinks.add(resolvedId);
+        const targetNote = linkResolver.resolve(linkText, note.folderPath);
+        if (targetNote) {
+          resolvedLinks.add(targetNote.id);
         }
       });
       linkGraph.set(note.id, resolvedLinks);
@@ -141,71 +232,125 @@ export class VaultProcessor {
     // Build folder structure
     const folderStructure = this.buildFolderStructure(notes, bases, vaultPath);
 
-    return { notes, bases, linkGraph, categories, tags, folderStructure };
+    return { notes, bases, linkGraph, categories, tags, folderStructure, linkResolver };
   }
 
   /**
-   * Clean wiki-style links by removing [[ ]]
+   * Find the unlinked mentions of every note: its title or aliases, as whole words, in the
+   * text of other notes outside links and code. They are kept with their snippets, so that
+   * the client can list them without loading the text of every note.
    */
-  private cleanWikiLink(link: string): string {
-    return link.replace(/^\[\[|\]\]$/g, '');
-  }
+  private findUnlinkedMentions(notes: Map<string, Note>): void {
+    // Names to look for, by their first word, so that each note is scanned once
+    const namesByWord = new Map<string, { name: string; noteId: string }[]>();
+    notes.forEach(note => {
+      note.unlinkedMentions = [];
+      new Set([note.title, ...note.aliases].map(name => this.toLowerCase(name.trim()))).forEach(name => {
+        const firstWord = name.match(/^[\p{L}\p{N}]+/u);
+        if (!firstWord || name.length < MIN_MENTION_LENGTH) return;
 
-  /**
-   * Generate a note ID from a title or filename
-   */
-  private generateNoteId(title: string): string {
-    return title.toLowerCase().replace(/[^a-z0-9]/g, '-');
+        if (!namesByWord.has(firstWord[0])) namesByWord.set(firstWord[0], []);
+        namesByWord.get(firstWord[0])!.push({ name, noteId: note.id });
+      });
+    });
+
+    notes.forEach(source => {
+      const snippetsByNote = new Map<string, MentionSnippet[]>();
+
+      this.getMentionableLines(source.content).forEach(({ line, text }) => {
+        for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+          const start = word.index!;
+          for (const { name, noteId } of namesByWord.get(word[0]) || []) {
+            const end = start + name.length;
+            if (noteId === source.id || !text.startsWith(name, start) || /[\p{L}\p{N}]/u.test(text.charAt(end))) {
+              continue;
+            }
+
+            if (!snippetsByNote.has(noteId)) snippetsByNote.set(noteId, []);
+            const snippets = snippetsByNote.get(noteId)!;
+            if (snippets.length < MAX_MENTION_SNIPPETS) {
+              snippets.push(this.getMentionSnippet(line, start, end));
+            }
+          }
+        }
+      });
+
+      snippetsByNote.forEach((snippets, noteId) => {
+        notes.get(noteId)!.unlinkedMentions!.push({ noteId: source.id, snippets });
+      });
+    });
   }
 
   /**
-   * Resolve a link text to an actual note ID by searching through all notes
+   * Lines of markdown outside fenced code blocks, with the text to search for mentions:
+   * lowercase, with links, code and tags blanked out (offsets match the line)
    */
-  private resolveLinkToNoteId(linkText: string, notes: Map<string, Note>, sourceNote?: Note): string | null {
-    // Handle relative paths (e.g., ../Architecture/Core Components)
-    let normalizedLinkText = linkText;
-    if (linkText.includes('../') || linkText.includes('./')) {
-      // If we have source note context, resolve relative to its folder
-      if (sourceNote) {
-        const sourcePath = sourceNote.folderPath || '';
-        // Resolve the relative path
-        const resolvedPath = path.normalize(path.join(sourcePath, linkText));
-        normalizedLinkText = resolvedPath;
-      } else {
-        // Fallback: remove ../ and ./ prefixes
-        normalizedLinkText = linkText.replace(/^(\.\.\/|\.\/)+/, '');
+  private getMentionableLines(content: string): { line: string; text: string }[] {
+    const lines: { line: string; text: string }[] = [];
+    let fence: string | null = null;
+
+    content.split('\n').forEach(line => {
+      const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1].startsWith(fence)) {
+          fence = null;
+        }
+        return;
       }
-    }
 
-    // First try exact match with generated ID
-    const directId = this.markdownProcessor.generateNoteId(normalizedLinkText);
-    if (notes.has(directId)) {
-      return directId;
-    }
+      if (!fence && line.trim()) {
+        lines.push({
+          line,
+          text: this.toLowerCase(line.replace(MENTION_MASK_PATTERN, match => ' '.repeat(match.length)))
+        });
+      }
+    });
 
-    // Extract the actual title from the link (last part of path)
-    const linkTitle = normalizedLinkText.split('/').pop() || normalizedLinkText;
+    return lines;
+  }
 
-    // Try to find by title match
-    for (const [noteId, note] of notes) {
-      if (note.title === linkTitle) {
-        return noteId;
-      }
+  /**
+   * Lowercase text without changing its length, so that offsets stay valid
+   */
+  private toLowerCase(text: string): string {
+    return Array.from(text, char => {
+      const lower = char.toLowerCase();
+      return lower.length === char.length ? lower : char;
+    }).join('');
+  }
 
-      // Try matching without folder path
-      const fileName = noteId.split('/').pop() || '';
-      if (fileName === directId) {
-        return noteId;
-      }
+  /**
+   * The mention in a line, with some context around it, without list and heading markers
+   */
+  private getMentionSnippet(line: string, start: number, end: number): MentionSnippet {
+    let before = line.substring(0, start).replace(/^\s*(?:(?:#{1,6}|[-*+]|\d+[.)]|>)\s+)*(?:\[.\]\s+)?/, '');
+    let after = line.substring(end).trimEnd();
 
-      // Try matching the generated ID from just the filename part
-      const generatedFromTitle = this.markdownProcessor.generateNoteId(note.title);
-      if (generatedFromTitle === directId) {
-        return noteId;
-      }
+    // Cut long context at a word boundary
+    if (before.length > MENTION_CONTEXT_LENGTH) {
+      before = '…' + before.slice(-MENTION_CONTEXT_LENGTH).replace(/^\S*\s/, '');
+    }
+    if (after.length > MENTION_CONTEXT_LENGTH) {
+      after = after.slice(0, MENTION_CONTEXT_LENGTH).replace(/\s\S*$/, '') + '…';
     }
 
-    return null;
+    return { before, match: line.substring(start, end), after };
+  }
+
+  /**
+   * Whether a note should be published: notes with `publish: false` or `draft: true` are not
+   */
+  private isPublished(note: Note): boolean {
+    return note.frontMatter.publish !== false && note.frontMatter.draft !== true;
+  }
+
+  /**
+   * Generate a note ID from a title or filename
+   */
+  private generateNoteId(title: string): string {
+    return title.toLowerCase().replace(/[^a-z0-9]/g, '-');
   }
 
   /**